@@ -1,17 +1,43 @@
 "use strict";
 
 const net = require("net");
+const crypto = require("crypto");
 const dgram = require("dgram");
 const EventEmitter = require("events");
+const { Readable } = require("stream");
 const utils = require("./libs/utils.js");
 const debuglog = utils.debuglog("reudp");
 
 const { SendingSession, ReceivingSession } = require("./libs/sessions.js");
+const errors = require("./libs/errors.js");
+const connection = require("./libs/connection.js");
+const congestion = require("./libs/congestion.js");
+const Peers = require("./libs/peers.js");
+const RttEstimator = require("./libs/rtt.js");
+const PmtuDiscovery = require("./libs/pmtu.js");
+const Cipher = require("./libs/cipher.js");
+const keyexchange = require("./libs/keyexchange.js");
+const Integrity = require("./libs/integrity.js");
+const fec = require("./libs/fec.js");
+const compression = require("./libs/compression.js");
+const admission = require("./libs/admission.js");
+const ReplayWindow = require("./libs/replay.js");
+const stats = require("./libs/stats.js");
+const debug = require("./libs/debug.js");
 
 const MAX_COUNTER = Math.pow(2, 32);
-const MAX_PACKET_SIZE = 1090 - 14;
-const MAX_BUFFER_SIZE = Math.pow(2, 15) * MAX_PACKET_SIZE;
+const DATAGRAM_SIZE = 1090;
+// the ethernet MTU minus the IP and UDP headers
+const PMTU_MAX_IPV4 = 1500 - 20 - 8;
+const PMTU_MAX_IPV6 = 1500 - 40 - 8;
+const CHECKSUM_SIZE = 2;
+const HEADER_SIZE = 6;
+const PSH_HEADER_SIZE = HEADER_SIZE + 6; /* header + seq, singleTotal, total */
+const MAX_PACKET_SIZE = DATAGRAM_SIZE - CHECKSUM_SIZE - PSH_HEADER_SIZE;
+// the largest message of the default datagram size, decompressed or not
+const MAX_MESSAGE_SIZE = Math.pow(2, 15) * MAX_PACKET_SIZE;
 const PARALLEL_COUNT = 92;
+const MAX_PACKETS_PER_TICK = 512;
 const LATENCY = 15; /* ms */
 
 const UDP_PSH = Symbol("reudp-push-data");
@@ -19,17 +45,35 @@ const UDP_REQ = Symbol("reudp-request-data");
 const UDP_FIN = Symbol("reudp-request-finish");
 const UDP_ACK = Symbol("redup-ack");
 const UDP_ERR = Symbol("redup-error");
+const UDP_PRB = Symbol("reudp-probe");
+const UDP_SYN = Symbol("reudp-synchronize");
+const UDP_KAL = Symbol("reudp-keepalive");
+const UDP_FEC = Symbol("reudp-parity");
+const UDP_DGM = Symbol("reudp-datagram");
+const UDP_RST = Symbol("reudp-reset");
 const UDP_PSH_CODE = 0x01;
 const UDP_REQ_CODE = 0x02;
 const UDP_FIN_CODE = 0x03;
 const UDP_ACK_CODE = 0x04;
 const UDP_ERR_CODE = 0x05;
+const UDP_PRB_CODE = 0x06;
+const UDP_SYN_CODE = 0x07;
+const UDP_KAL_CODE = 0x08;
+const UDP_FEC_CODE = 0x09;
+const UDP_DGM_CODE = 0x0A;
+const UDP_RST_CODE = 0x0B;
 const UDP_TYPE_CODES = new Map([
     [UDP_PSH, UDP_PSH_CODE],
     [UDP_REQ, UDP_REQ_CODE],
     [UDP_FIN, UDP_FIN_CODE],
     [UDP_ACK, UDP_ACK_CODE],
     [UDP_ERR, UDP_ERR_CODE],
+    [UDP_PRB, UDP_PRB_CODE],
+    [UDP_SYN, UDP_SYN_CODE],
+    [UDP_KAL, UDP_KAL_CODE],
+    [UDP_FEC, UDP_FEC_CODE],
+    [UDP_DGM, UDP_DGM_CODE],
+    [UDP_RST, UDP_RST_CODE],
 ]);
 const UDP_CODE_TYPES = new Map([
     [UDP_PSH_CODE, UDP_PSH],
@@ -37,10 +81,72 @@ const UDP_CODE_TYPES = new Map([
     [UDP_FIN_CODE, UDP_FIN],
     [UDP_ACK_CODE, UDP_ACK],
     [UDP_ERR_CODE, UDP_ERR],
+    [UDP_PRB_CODE, UDP_PRB],
+    [UDP_SYN_CODE, UDP_SYN],
+    [UDP_KAL_CODE, UDP_KAL],
+    [UDP_FEC_CODE, UDP_FEC],
+    [UDP_DGM_CODE, UDP_DGM],
+    [UDP_RST_CODE, UDP_RST],
 ]);
+const FLAG_STREAM = 0x01;
+const FLAG_INTEGRITY = 0x06; /* the id of the integrity algorithm */
+const FLAG_INTEGRITY_SHIFT = 1;
+const FLAG_DEFLATE = 0x08;
+const FLAG_BROTLI = 0x10;
+const FLAG_COMPRESSION = FLAG_DEFLATE | FLAG_BROTLI;
+const FLAG_CHANNEL = 0x20;
+const FLAG_RETRANSMIT = 0x40; /* the first retransmission of a requested packet */
+const COMPRESSION_FLAGS = {
+    deflate: FLAG_DEFLATE,
+    brotli: FLAG_BROTLI,
+};
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1;
+const HELLO_SIZE = 3; /* version, capabilities */
+const CAP_DEFLATE = 0x0001;
+const CAP_BROTLI = 0x0002;
+const CAP_FEC = 0x0004;
+const COMPRESSION_CAPS = {
+    deflate: CAP_DEFLATE,
+    brotli: CAP_BROTLI,
+};
 const ERR_NOT_FOUND_ID = 0x00;
+const ERR_VERSION_MISMATCH = 0x01;
+const ERR_ABANDONED = 0x02;
+const ERR_REFUSED = 0x03;
 const RETRY_NOTIFIY_FIN_COUNT = 10;
+const RETRY_NOTIFIY_RST_COUNT = 3;
 const RETRY_REQUEST_COUNT = 10;
+const PMTU_PROBE_COUNT = 3;
+const HANDSHAKE_RETRY_COUNT = 3;
+const HANDSHAKE_PENDING = "pending";
+const HANDSHAKE_ESTABLISHED = "established";
+const HANDSHAKE_UNSUPPORTED = "unsupported";
+const KEY_EXCHANGE_SIZE = keyexchange.PUBLIC_KEY_SIZE * 2 + keyexchange.SIGNATURE_SIZE;
+const SYN_CONTEXT = Buffer.from("reudp syn");
+const SYN_ACK_CONTEXT = Buffer.from("reudp syn-ack");
+const VERSION_CONTEXT = Buffer.from("reudp version");
+const KEEPALIVE_INTERVAL = 1000 * 15; /* 15s */
+const KEEPALIVE_MISSES = 3;
+const PEER_TTL = 1000 * 60 * 10; /* 10min */
+const PRUNE_INTERVAL = 1000 * 30; /* 30s */
+const MAX_PEER_STATES = 65536;
+const ORDERED_TIMEOUT = 1000 * 5; /* 5s */
+const INTEGRITY_CHECK_INTERVAL = 1000; /* 1s */
+const REASSEMBLY_MESSAGES = 4096;
+const REASSEMBLY_PEER_MESSAGES = 256;
+const REASSEMBLY_BYTES = 1024 * 1024 * 256; /* 256MiB */
+// a message of the largest datagrams fits
+const REASSEMBLY_PEER_BYTES = 1024 * 1024 * 64; /* 64MiB */
+const PMTU_RAISE_INTERVAL = 1000 * 60 * 10; /* 10min */
+const STREAM_CHUNK_SIZE = 1024 * 1024; /* 1MiB */
+const STREAM_HEADER_SIZE = 5;
+const CHANNEL_HEADER_SIZE = 5; /* channel, sequence */
+const MAX_CHANNELS = 256;
+const DEFAULT_CHANNEL = "default";
+const STREAM_MORE = 0x00;
+const STREAM_END = 0x01;
+const STREAM_ABORT = 0x02;
 
 /**
  * @typedef {Object} Address
@@ -59,6 +165,76 @@ class ReUDP extends EventEmitter {
      * @property {string} [options.address]
      * @property {string} [options.family]
      * @property {Socket} [options.socket] - udp socket
+     * @property {string|Function|boolean} [options.congestion="newreno"] -
+     *           "newreno", "bbr", a function returns a controller of the
+     *           peer, or false to use the static pacing of `bandWidth`
+     * @property {Object|boolean} [options.pmtu=false] - search the size of
+     *           datagrams to every peer between `min` and `max` (default 1500
+     *           minus the IP and UDP headers, the probes can not forbid the
+     *           fragmentation), the fixed size is used without it
+     * @property {boolean} [options.handshake] - exchange the incarnation
+     *           with a peer before sending to it, by default only when the
+     *           `identity`, `compress` or `fec` needs it
+     * @property {Object} [options.encryption] - the `key` (32 bytes) and the
+     *           `algorithm` ("aes-256-gcm" or "chacha20-poly1305") to encrypt
+     *           the packets, the packets are not encrypted without it
+     * @property {string|Object} [options.integrity="checksum"] - the
+     *           `algorithm` ("checksum", "crc32c" or "hmac-sha256" with the
+     *           shared `key`) to check the packets that are not encrypted
+     * @property {Object|boolean} [options.identity] - an ed25519 `privateKey`,
+     *           or true to generate one, to exchange the session keys with
+     *           the peers by the handshake instead of the pre-shared key
+     * @property {Function} [options.authorizePeer] - called with the ed25519
+     *           public key (32 bytes) and the address of a peer, returns
+     *           whether the peer is accepted
+     * @property {Array<Buffer|string>} [options.allowedPeers] - the public keys
+     *           (or in hex) of the accepted peers, when no `authorizePeer`.
+     *           all peers are accepted without both
+     * @property {string|Object|boolean} [options.compress=false] - compress
+     *           the messages by the `algorithm` ("deflate" or "brotli") when
+     *           they are not smaller than `threshold` (default 1024 bytes),
+     *           only to the peers that told they support it by the handshake
+     * @property {Object|boolean} [options.fec=false] - send a XOR parity
+     *           packet for every group of packets, the `ratio` (default 0.1)
+     *           of parity packets follows the loss between `min` and `max`
+     *           unless `adaptive` is false
+     * @property {Object|boolean} [options.ordered=false] - emit the messages
+     *           of a peer in the order they were sent, a missing message is
+     *           given up with a `gap` event when none of its packets arrived
+     *           for `timeout` ms (default 5s)
+     * @property {Object[]} [options.channels] - the named channels besides
+     *           the "default" one, every channel has a `name`, a `priority`
+     *           (default 0, higher is sent first) and an own `ordered` option.
+     *           the peers must declare the same channels in the same order
+     * @property {Object} [options.inFlight] - the limits of the messages that
+     *           are sent but not finished, `bytes` and `messages` in total,
+     *           `peerBytes` and `peerMessages` to every peer (all unlimited by
+     *           default). the messages past the limits are queued
+     * @property {Object} [options.reassembly] - the limits of the messages
+     *           that are partially received, `messages` (default 4096) and
+     *           `bytes` (default 256MiB) in total, `peerMessages` (default
+     *           256) and `peerBytes` (default 64MiB) from every peer
+     * @property {Object|boolean} [options.replay] - remember the last `size`
+     *           (default 8192) finished ids of every peer that made the
+     *           handshake by itself, the late packets of them are not
+     *           received again. false to disable
+     * @property {Object} [options.admission] - the packets are dropped before
+     *           parsed when the address is in the `block` ranges, not in the
+     *           `allow` ranges (if any), over the `rate` or `subnetRate` (the
+     *           token buckets of `rate` packets per second and `burst`), or is
+     *           a new peer when there are `maxPeers` peers that are not idle
+     * @property {number} [options.stallTimeout] - a message fails when
+     *           the peer has not received any more of its packets for this
+     *           time in ms, 10 times the RTO of the peer by default, 0 to
+     *           disable
+     * @property {Object|boolean} [options.keepalive=false] - send heartbeats
+     *           to idle peers every `interval` ms (default 15s), a peer is
+     *           down after `misses` (default 3) heartbeats not responded
+     * @property {number} [options.peerTtl=600000] - the state of a peer is
+     *           forgotten when nothing was exchanged with it for this time in
+     *           ms, 0 to never forget
+     * @property {number} [options.maxPeerStates=65536] - the least recently
+     *           active idle peer is forgotten when there are more peers
      */
     constructor(options = {}) {
         super();
@@ -78,6 +254,12 @@ class ReUDP extends EventEmitter {
             [UDP_FIN]: "reudp.fin",
             [UDP_ACK]: "reudp.ack",
             [UDP_ERR]: "redup.err",
+            [UDP_PRB]: "reudp.prb",
+            [UDP_SYN]: "reudp.syn",
+            [UDP_KAL]: "reudp.kal",
+            [UDP_FEC]: "reudp.fec",
+            [UDP_DGM]: "reudp.dgm",
+            [UDP_RST]: "reudp.rst",
         };
 
         this._receive = this._receive.bind(this);
@@ -86,12 +268,24 @@ class ReUDP extends EventEmitter {
         this._handleFinPacket = this._handleFinPacket.bind(this);
         this._handleAckPacket = this._handleAckPacket.bind(this);
         this._handleErrPacket = this._handleErrPacket.bind(this);
+        this._handlePrbPacket = this._handlePrbPacket.bind(this);
+        this._handleSynPacket = this._handleSynPacket.bind(this);
+        this._handleKalPacket = this._handleKalPacket.bind(this);
+        this._handleFecPacket = this._handleFecPacket.bind(this);
+        this._handleDgmPacket = this._handleDgmPacket.bind(this);
+        this._handleRstPacket = this._handleRstPacket.bind(this);
 
         this.addListener(this._events[UDP_PSH], this._handlePshPacket);
         this.addListener(this._events[UDP_REQ], this._handleReqPacket);
         this.addListener(this._events[UDP_FIN], this._handleFinPacket);
         this.addListener(this._events[UDP_ACK], this._handleAckPacket);
         this.addListener(this._events[UDP_ERR], this._handleErrPacket);
+        this.addListener(this._events[UDP_PRB], this._handlePrbPacket);
+        this.addListener(this._events[UDP_SYN], this._handleSynPacket);
+        this.addListener(this._events[UDP_KAL], this._handleKalPacket);
+        this.addListener(this._events[UDP_FEC], this._handleFecPacket);
+        this.addListener(this._events[UDP_DGM], this._handleDgmPacket);
+        this.addListener(this._events[UDP_RST], this._handleRstPacket);
 
         const socket = this._getSocketBy(options);
         socket.on("message", this._receive);
@@ -101,20 +295,170 @@ class ReUDP extends EventEmitter {
         }
 
         this._finishNotifyQueue = new Set();
+        this._resetNotifyQueue = new Set();
+        this._congestion = options.congestion === undefined ? "newreno" : options.congestion;
+        this._pmtu = options.pmtu ? (options.pmtu === true ? {} : options.pmtu) : null;
+        this._identity = options.identity ?
+            new keyexchange.Identity(options.identity === true ? {} : options.identity) :
+            null;
+        this._compressor = options.compress ? new compression.Compressor(
+            options.compress === true ? {} :
+            typeof options.compress === "string" ? { algorithm: options.compress } :
+            options.compress
+        ) : null;
+        this._fec = options.fec ? (options.fec === true ? {} : options.fec) : null;
+        // the messages are decompressed only when this side compresses too
+        this._capabilities = (this._fec ? CAP_FEC : 0) | (this._compressor ? CAP_DEFLATE | CAP_BROTLI : 0);
+        // the session keys are exchanged by the handshake, and the capabilities
+        this._handshakeEnabled = Boolean(this._identity) || (options.handshake === undefined ?
+            Boolean(this._compressor || this._fec) :
+            Boolean(options.handshake));
+        this._ordered = options.ordered ? Object.assign({
+            timeout: ORDERED_TIMEOUT,
+        }, options.ordered) : null;
+        // null for as long as the peer gives up requesting the packets
+        this._stallTimeout = options.stallTimeout === undefined ? null : options.stallTimeout;
+        // the channel id is the index, 0 is the default channel
+        this._channels = [{ name: DEFAULT_CHANNEL, priority: 0, ordered: this._ordered }];
+        this._channelsEnabled = Array.isArray(options.channels) && options.channels.length > 0;
+        if (this._channelsEnabled) {
+            for (const { name, priority = 0, ordered = false } of options.channels) {
+                if (typeof name !== "string" || this._channels.some(channel => channel.name === name)) {
+                    throw new TypeError(`invalid channel name: ${name}`);
+                }
+                this._channels.push({
+                    name,
+                    priority,
+                    ordered: ordered ? Object.assign({ timeout: ORDERED_TIMEOUT }, ordered) : null,
+                });
+            }
+            if (this._channels.length > MAX_CHANNELS) {
+                throw new RangeError(`channels must be less than ${MAX_CHANNELS}`);
+            }
+        }
+        if (this._fec) {
+            // throws on the invalid options
+            new fec.Redundancy(this._fec);
+        }
+        this._incarnation = crypto.randomBytes(4).readUInt32BE(0);
+        this._datagramId = 0;
+        this._algorithm = options.encryption && options.encryption.algorithm;
+        if (this._identity && this._algorithm && !Cipher.ALGORITHMS.includes(this._algorithm)) {
+            throw new TypeError(`unsupported encryption algorithm: ${this._algorithm}`);
+        }
+        this._cipher = options.encryption && !this._identity ?
+            new Cipher(options.encryption, HEADER_SIZE) :
+            null;
+        this._integrity = new Integrity(typeof options.integrity === "string" ?
+            { algorithm: options.integrity } :
+            options.integrity);
+        // the other algorithms, to find out the peers that use one of them
+        this._otherIntegrities = Object.keys(Integrity.ALGORITHMS)
+            .filter(algorithm => algorithm !== this._integrity.algorithm)
+            .map(algorithm => Object.assign({
+                algorithm,
+                integrity: Integrity.ALGORITHMS[algorithm].keyed ? null : new Integrity({ algorithm }),
+            }, Integrity.ALGORITHMS[algorithm]));
+        this._counters = stats.createCounters();
+        this._wrapOverhead = this._cipher || this._identity ? Cipher.OVERHEAD : this._integrity.size;
+        this._authorizePeer = options.authorizePeer;
+        this._allowedPeers = options.allowedPeers ?
+            new Set(options.allowedPeers.map(key => Buffer.isBuffer(key) ? key.toString("hex") : key.toLowerCase())) :
+            null;
+        this._admission = new admission.Admission(options.admission);
+        this._keepalive = options.keepalive ? Object.assign({
+            interval: KEEPALIVE_INTERVAL,
+            misses: KEEPALIVE_MISSES,
+        }, options.keepalive) : null;
+        this._peerTtl = options.peerTtl === undefined ? PEER_TTL : options.peerTtl;
+        this._maxPeerStates = options.maxPeerStates === undefined ? MAX_PEER_STATES : options.maxPeerStates;
+        this._peers = new Peers({
+            create: rinfo => ({
+                congestion: this._congestion ? congestion.create(this._congestion, rinfo) : null,
+                senders: new Set(),
+                rtt: new RttEstimator({
+                    initial: this._RTT,
+                    granularity: LATENCY,
+                }),
+                pmtu: this._pmtu ? new PmtuDiscovery(Object.assign({
+                    initial: DATAGRAM_SIZE,
+                    max: rinfo.family === "IPv6" ? PMTU_MAX_IPV6 : PMTU_MAX_IPV4,
+                }, this._pmtu)) : null,
+                handshake: null,
+                // sent a SYN by itself, so it tells the new incarnation first
+                // when restarted
+                initiator: false,
+                incarnation: undefined,
+                cipher: null,
+                identity: undefined,
+                ephemeral: null,
+                accepted: null,
+                integrity: undefined,
+                integrityCheckedAt: 0,
+                version: undefined,
+                capabilities: 0,
+                sequences: [],
+                inFlight: { bytes: 0, messages: 0 },
+                reassembly: { bytes: 0, messages: 0 },
+                // created by the first finished message
+                replay: null,
+                counters: stats.createCounters(),
+                queued: 0,
+                reorders: new Map(),
+                fec: this._fec ? new fec.Redundancy(this._fec) : null,
+                // completed a handshake that a spoofed packet can not
+                confirmed: false,
+                alive: false,
+                lastReceived: 0,
+                misses: 0,
+                pingId: 0,
+                pings: new Map(),
+            }),
+            ttl: this._peerTtl,
+            // the idlest one makes room for a new peer admitted past maxPeers
+            max: Math.min(this._maxPeerStates, this._admission.maxPeers),
+            canEvict: peer => this._isIdle(peer),
+            onEvict: peer => this._evictPeer(peer),
+        });
         this._sendingSession = new SendingSession({
             maxCounter: MAX_COUNTER,
             autoClear: {
                 ttl: 1000 * 60 * 60 /* 1h */,
                 interval: 1000 * 30 /* 30s */,
             },
-            onBeforeDestroy(key, val) {
+            onBeforeDestroy: (key, val) => {
+                const peer = this._peers.peek(val._rinfo);
+                if (peer) {
+                    peer.senders.delete(val);
+                }
                 if (val._intervalId) {
                     clearInterval(val._intervalId);
-                    val._clearRetrySendingTimer();
+                    if (val._clearRetrySendingTimer) {
+                        val._clearRetrySendingTimer();
+                    }
                 }
                 if (val._checkFreshTimer) {
                     clearInterval(val._checkFreshTimer);
                 }
+                if (val._deadlineTimer) {
+                    clearTimeout(val._deadlineTimer);
+                }
+                if (val._size !== undefined) {
+                    this._inFlight.bytes -= val._size;
+                    this._inFlight.messages -= 1;
+                    if (peer) {
+                        peer.inFlight.bytes -= val._size;
+                        peer.inFlight.messages -= 1;
+                    }
+                    this._scheduleFlush();
+                }
+                if (this._settlers.has(val)) {
+                    // cleared before it finished, e.g. by the auto clear
+                    const progress = this._progressOf(val);
+                    this._settle(val, new errors.TimeoutError(val._id, val._rinfo, "expired", progress));
+                    this._count(val._rinfo, "timeouts");
+                    this.emit("timeout", val._id, val._rinfo, "expired", progress);
+                }
             },
         });
         this._receivingSession = new ReceivingSession({
@@ -122,10 +466,11 @@ class ReUDP extends EventEmitter {
                 ttl: 1000 * 60 * 60 /* 1h */,
                 interval: 1000 * 30 /* 30s */,
             },
-            onBeforeDestroy(key, val) {
+            onBeforeDestroy: (key, val) => {
                 if (val._delayTimerId) {
                     clearTimeout(val._delayTimerId);
                 }
+                this._releaseReassembly(val);
             },
         });
 
@@ -146,18 +491,71 @@ class ReUDP extends EventEmitter {
                     });
                 }
             }
+            // the first one was sent when canceled
+            for (const item of this._resetNotifyQueue) {
+                item[4] += 1;
+                if (item[4] > RETRY_NOTIFIY_RST_COUNT) {
+                    this._resetNotifyQueue.delete(item);
+                } else {
+                    this._sendRstPacket(item[0], {
+                        port: item[1],
+                        address: item[2],
+                        family: item[3],
+                    }, item[5]);
+                }
+            }
         }, 1000);
 
+        if (this._keepalive) {
+            this._keepaliveId = setInterval(() => this._checkAlive(), this._keepalive.interval);
+        }
+        if (this._peerTtl > 0 && this._peerTtl !== Infinity) {
+            this._pruneId = setInterval(() => this._peers.prune(), Math.min(this._peerTtl, PRUNE_INTERVAL));
+            this._pruneId.unref();
+        }
+
         this._drains = new WeakMap();
+        this._settlers = new WeakMap();
+        this._streamId = 0;
+        this._receivingStreams = new Map();
+        // the messages waiting for the limits of in flight
         this._dataQueues = [];
+        this._queuedMessages = new Map();
+        this._inFlightLimits = Object.assign({
+            bytes: Infinity,
+            messages: Infinity,
+            peerBytes: Infinity,
+            peerMessages: Infinity,
+        }, options.inFlight);
+        this._inFlight = { bytes: 0, messages: 0 };
+        this._needWritable = false;
+        this._flushScheduled = false;
+        this._reassemblyLimits = Object.assign({
+            messages: REASSEMBLY_MESSAGES,
+            bytes: REASSEMBLY_BYTES,
+            peerMessages: REASSEMBLY_PEER_MESSAGES,
+            peerBytes: REASSEMBLY_PEER_BYTES,
+        }, options.reassembly);
+        this._reassembly = { bytes: 0, messages: 0 };
+        this._replay = options.replay === false ? null :
+            Object.assign({}, options.replay === true ? {} : options.replay);
+        if (this._replay) {
+            // throws on the invalid options
+            new ReplayWindow(this._replay);
+        }
         const bandWidth = (options.bandWidth || 4) * 1024 * 1024 / 8; /* byte, default 4MiB */
-        this._RTT = (options.RTT || 200) + LATENCY; /* ms, default 200ms */
+        this._RTT = (options.RTT || 200) + LATENCY; /* ms, default 200ms, the initial RTO of peers */
         const parallelSize = MAX_PACKET_SIZE * this._parallelCount;
         this._interval = (1000 * parallelSize) / (bandWidth - parallelSize);
         if (this._interval < 0 || isNaN(this._interval)) {
             this._interval = 1000;
         }
         this._frequency = Math.floor(this._RTT / this._interval) || 1;
+        if (this._congestion) {
+            // the controllers of peers decide how many packets are sent every tick
+            this._interval = LATENCY;
+            this._frequency = 1;
+        }
         debuglog(`@constructor():: interval:${this._interval}, frequency:${this._frequency}`);
     }
 
@@ -177,6 +575,226 @@ class ReUDP extends EventEmitter {
             type: "udp4",
         }, options));
     }
+    /**
+     * the ed25519 public key (32 bytes) of the identity
+     * @public
+     * @return {?Buffer}
+     */
+    get publicKey() {
+        return this._identity ? this._identity.publicKey : null;
+    }
+    /**
+     * count of the packets that failed the integrity check and were dropped
+     * @public
+     * @return {number}
+     */
+    get integrityFailures() {
+        return this._counters.integrityFailures;
+    }
+    /**
+     * count of the packets that failed to authenticate and were dropped
+     * @public
+     * @return {number}
+     */
+    get authFailures() {
+        return this._counters.authFailures;
+    }
+    /**
+     * counts of the packets that were rejected by the admission and dropped,
+     * by the reasons
+     * @public
+     * @return {{blocked: number, unlisted: number, peers: number, rate: number, subnet: number}}
+     */
+    get rejected() {
+        return Object.assign({}, this._admission.rejected);
+    }
+
+    /**
+     * the counters in total, and the current states
+     * @public
+     * @return {Object}
+     */
+    getStats() {
+        return Object.assign({}, this._counters, {
+            rejected: this.rejected,
+            peers: this._peers.size,
+            sendingSessions: this._inFlight.messages,
+            receivingSessions: this._reassembly.messages,
+            queued: this._dataQueues.length,
+            inFlightBytes: this._inFlight.bytes,
+            reassemblyBytes: this._reassembly.bytes,
+            interval: this._interval,
+            frequency: this._frequency,
+            parallelCount: this._parallelCount,
+        });
+    }
+
+    /**
+     * the counters of a peer since its state was created, and its current
+     * states
+     * @public
+     * @param {Address} [rinfo=this._remoteAddress]
+     * @return {?Object} - null if the peer is unknown
+     */
+    getPeerStats(rinfo = this._remoteAddress) {
+        const peer = rinfo ? this._peers.peek(rinfo) : undefined;
+        if (!peer) return null;
+        return Object.assign({}, peer.counters, {
+            sendingSessions: peer.inFlight.messages,
+            receivingSessions: peer.reassembly.messages,
+            queued: peer.queued,
+            inFlightBytes: peer.inFlight.bytes,
+            reassemblyBytes: peer.reassembly.bytes,
+            inFlightPackets: this._inFlightOf(peer),
+            window: peer.congestion ? peer.congestion.window : null,
+            srtt: peer.rtt.srtt,
+            rttvar: peer.rtt.rttvar,
+            rto: peer.rtt.rto,
+            datagramSize: peer.pmtu ? peer.pmtu.size : DATAGRAM_SIZE,
+            fecRatio: peer.fec ? peer.fec.ratio : 0,
+            handshake: peer.handshake,
+            alive: peer.alive,
+        });
+    }
+
+    /**
+     * the messages that are being sent, partially received, or queued
+     * @public
+     * @return {{sending: Object[], receiving: Object[], queued: Object[]}}
+     */
+    getSessions() {
+        const now = Date.now();
+        const sending = [];
+        for (const [, gen] of this._sendingSession) {
+            let received = 0;
+            let retransmissions = 0;
+            for (let seq = 0; seq < gen._total; seq++) {
+                if (gen._receivedQueues[seq]) received += 1;
+                if (gen._sentCounts[seq] > 1) retransmissions += gen._sentCounts[seq] - 1;
+            }
+            sending.push({
+                id: gen._id,
+                rinfo: gen._rinfo,
+                channel: this._channels[gen._channel].name,
+                size: gen._size,
+                total: gen._total,
+                received,
+                pending: gen._pendingQueues.size,
+                remaining: gen._remainingQueues.length,
+                queued: gen._queues ? gen._queues.length : 0,
+                retransmissions,
+                retries: gen._retryCount || 0,
+                age: now - gen._startTime,
+                idle: now - gen._lastProgress,
+            });
+        }
+        const receiving = [];
+        for (const [, buffers] of this._receivingSession) {
+            if (!buffers._partial) continue;
+            let received = 0;
+            for (let seq = 0; seq < buffers.length; seq++) {
+                if (Buffer.isBuffer(buffers[seq])) received += 1;
+            }
+            receiving.push({
+                id: buffers._id,
+                rinfo: buffers._rinfo,
+                channel: buffers._channel === undefined ? undefined :
+                    this._channels[buffers._channel] ? this._channels[buffers._channel].name : buffers._channel,
+                total: buffers._info ? buffers._info.total : undefined,
+                received,
+                bytes: buffers._bytes,
+                retries: buffers._retryCount || 0,
+                age: now - buffers._startTime,
+                idle: now - buffers.__lastVisit__,
+            });
+        }
+        const queued = this._dataQueues.map(({ id, rinfo, buffer, channel }) => ({
+            id,
+            rinfo,
+            channel: channel ? this._channels[channel.id].name : DEFAULT_CHANNEL,
+            size: buffer.length,
+        }));
+        return { sending, receiving, queued };
+    }
+
+    /**
+     * fail a message that is being sent with a TimeoutError (the reason is
+     * "expired"), or drop a partial message and tell the sender
+     * @public
+     * @param {string} type - "sending" or "receiving"
+     * @param {number} id
+     * @param {Address} [rinfo=this._remoteAddress]
+     * @return {boolean} - whether the session was found
+     */
+    expireSession(type, id, rinfo = this._remoteAddress) {
+        if (type === "sending") {
+            if (!this._sendingSession.has(id, rinfo)) return false;
+            this._expire(id, rinfo, "expired");
+            return true;
+        }
+        const buffers = this._partialOf(type, id, rinfo);
+        if (!buffers) return false;
+        this._evict(buffers, id, rinfo);
+        return true;
+    }
+
+    /**
+     * send the packets in flight of a message again, or request the missing
+     * packets of a partial message now
+     * @public
+     * @param {string} type - "sending" or "receiving"
+     * @param {number} id
+     * @param {Address} [rinfo=this._remoteAddress]
+     * @return {boolean} - whether the session was found
+     */
+    retrySession(type, id, rinfo = this._remoteAddress) {
+        if (type === "sending") {
+            const gen = this._sendingSession.get(id, rinfo);
+            if (!gen) return false;
+            // as if they were timed out
+            this._checkFresh(gen._pendingQueues, gen._remainingQueues, 0);
+            gen._lastProgress = Date.now();
+            return true;
+        }
+        const buffers = this._partialOf(type, id, rinfo);
+        if (!buffers) return false;
+        buffers._retryCount = 0;
+        if (buffers._info) {
+            this._request(buffers, buffers._info, rinfo);
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {string} type
+     * @param {number} id
+     * @param {Address} rinfo
+     * @return {?Buffer[]}
+     * @throws {TypeError} - when the type is unknown
+     */
+    _partialOf(type, id, rinfo) {
+        if (type !== "receiving") {
+            throw new TypeError(`unknown session type: ${type}`);
+        }
+        if (!this._receivingSession.has(id, rinfo)) return null;
+        const buffers = this._receivingSession.get(id, rinfo);
+        return buffers._partial ? buffers : null;
+    }
+
+    /**
+     * an http server (not listening) to inspect and control the sessions,
+     * it should listen on a local address or a unix socket only
+     * @public
+     * @param {Object} [options={}]
+     * @property {string} [options.token] - required by the requests that
+     *           control the sessions
+     * @return {http.Server}
+     */
+    createDebugServer(options = {}) {
+        return debug.createServer(this, options);
+    }
+
     /**
      * @public
      * @external https://nodejs.org/api/dgram.html#dgram_socket_bind_port_address_callback
@@ -186,6 +804,44 @@ class ReUDP extends EventEmitter {
         return this._socket.bind(...args);
     }
 
+    /**
+     * accept the packets from the range only (and the other allowed ones)
+     * @public
+     * @param {string} cidr - "10.0.0.0/8", "fd00::/8" or an address
+     * @throws {TypeError} - when the cidr is invalid
+     */
+    allow(cidr) {
+        this._admission.allow(cidr);
+    }
+
+    /**
+     * @public
+     * @param {string} cidr
+     * @return {boolean} - whether the range was allowed
+     */
+    disallow(cidr) {
+        return this._admission.disallow(cidr);
+    }
+
+    /**
+     * drop the packets from the range
+     * @public
+     * @param {string} cidr
+     * @throws {TypeError} - when the cidr is invalid
+     */
+    block(cidr) {
+        this._admission.block(cidr);
+    }
+
+    /**
+     * @public
+     * @param {string} cidr
+     * @return {boolean} - whether the range was blocked
+     */
+    unblock(cidr) {
+        return this._admission.unblock(cidr);
+    }
+
     /**
      * @private
      * @param {Buffer[]} buffers
@@ -229,6 +885,7 @@ class ReUDP extends EventEmitter {
     _finish(id, buffers, rinfo) {
         const { port, address, family } = rinfo;
         const buffer = Buffer.concat(buffers);
+        this._releaseReassembly(buffers);
         buffers._used = true;
         buffers._usedTime = Date.now();
         buffers.length = 0;
@@ -240,14 +897,246 @@ class ReUDP extends EventEmitter {
         delete buffers.__duplicateCounts__;
         delete buffers.__total__;
 
+        const peer = this._peers.get(rinfo);
+        const channel = buffers._channel;
+        const sequence = buffers._sequence;
+        const reorder = peer.reorders.get(channel);
+        if (reorder && reorder.next !== null && this._isBehind(sequence, reorder.next)) {
+            // the message was given up, tell the sender it was not delivered
+            debuglog(`@_finish():: abandoned id:${id}, port:${port}, address:${address}`);
+            buffers._errType = ERR_ABANDONED;
+            this._sendErrPacket(id, ERR_ABANDONED, rinfo);
+            return;
+        }
+        const flags = buffers._flags;
+        let message = buffer;
+        if (flags & FLAG_COMPRESSION) {
+            message = this._decompress(id, buffer, flags);
+            if (message === null) {
+                buffers._errType = ERR_REFUSED;
+                this._sendErrPacket(id, ERR_REFUSED, rinfo);
+                if (reorder) {
+                    // the messages after it are not held until the timeout
+                    this._deliver(peer, reorder, sequence, Function());
+                }
+                return;
+            }
+        }
+        if (this._replay && this._isKnown(peer)) {
+            if (!peer.replay) {
+                peer.replay = new ReplayWindow(this._replay);
+            }
+            peer.replay.add(id);
+        }
+        this._count(rinfo, "messagesReceived");
+
         this._sendFinPacket(id, rinfo);
         this._finishNotifyQueue.add([id, port, address, family]);
 
-        process.nextTick(() => {
-            this.emit("message", buffer, rinfo, id);
+        const identity = peer.identity;
+        const channelName = this._channels[channel] ? this._channels[channel].name : channel;
+        this._deliver(peer, reorder, sequence, () => {
+            if (flags & FLAG_STREAM) {
+                this._receiveStreamChunk(message, rinfo, identity, channelName);
+            } else {
+                this.emit("message", message, rinfo, id, identity, channelName);
+            }
         });
     }
 
+    /**
+     * only the algorithms this side told in the handshake are accepted, and
+     * a message can not grow larger than the max size
+     * @private
+     * @param {number} id
+     * @param {Buffer} buffer
+     * @param {number} flags
+     * @return {?Buffer} - null if refused or corrupted
+     */
+    _decompress(id, buffer, flags) {
+        const algorithm = flags & FLAG_BROTLI ? "brotli" : "deflate";
+        if (!(this._capabilities & COMPRESSION_CAPS[algorithm])) {
+            debuglog(`@_decompress():: Error: not accepted ${algorithm}, id:${id}`);
+            return null;
+        }
+        try {
+            return compression.decompress(buffer, algorithm, MAX_MESSAGE_SIZE);
+        } catch (err) {
+            debuglog(`@_decompress():: Error: can not decompress id:${id}, ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} id
+     * @param {number} next
+     * @return {boolean} - whether the id is before the next id
+     */
+    _isBehind(id, next) {
+        return (id - next + MAX_COUNTER) % MAX_COUNTER >= MAX_COUNTER / 2;
+    }
+
+    /**
+     * the ordering state of a channel of the peer, null if not ordered
+     * @private
+     * @param {Object} peer
+     * @param {number} channel
+     * @param {number} sequence - of the message seen
+     * @return {?Object}
+     */
+    _reorderOf(peer, channel, sequence) {
+        let reorder = peer.reorders.get(channel);
+        if (!reorder) {
+            const ordered = this._channels[channel] ? this._channels[channel].ordered : null;
+            if (!ordered) return null;
+            // the sequences of a new peer start from 0, otherwise the start
+            // is not known until the timeout
+            reorder = {
+                channel,
+                timeout: ordered.timeout,
+                next: null,
+                first: sequence,
+                pending: new Map(),
+                timer: null,
+            };
+            peer.reorders.set(channel, reorder);
+        }
+        if (reorder.next === null && sequence === 0) {
+            reorder.next = 0;
+        }
+        return reorder;
+    }
+
+    /**
+     * emit a finished message, or hold it until the messages before it
+     * @private
+     * @param {Object} peer
+     * @param {?Object} reorder
+     * @param {number} sequence
+     * @param {Function} emit
+     */
+    _deliver(peer, reorder, sequence, emit) {
+        if (!reorder) {
+            process.nextTick(emit);
+            return;
+        }
+        reorder.pending.set(sequence, emit);
+        this._releaseOrdered(peer, reorder);
+    }
+
+    /**
+     * @private
+     * @param {Object} peer
+     * @param {Object} reorder
+     */
+    _releaseOrdered(peer, reorder) {
+        const { pending } = reorder;
+        let released = false;
+        while (pending.has(reorder.next)) {
+            process.nextTick(pending.get(reorder.next));
+            pending.delete(reorder.next);
+            reorder.next = (reorder.next + 1) % MAX_COUNTER;
+            released = true;
+        }
+        if (released || pending.size === 0) {
+            clearTimeout(reorder.timer);
+            reorder.timer = null;
+        }
+        if (pending.size > 0 && !reorder.timer) {
+            // the head of line is blocked
+            this._waitOrdered(peer, reorder);
+        }
+    }
+
+    /**
+     * (re)start waiting for the message at the head of line
+     * @private
+     * @param {Object} peer
+     * @param {Object} reorder
+     */
+    _waitOrdered(peer, reorder) {
+        clearTimeout(reorder.timer);
+        reorder.timer = setTimeout(() => {
+            reorder.timer = null;
+            this._skipOrdered(peer, reorder);
+        }, reorder.timeout);
+    }
+
+    /**
+     * give up the missing messages before the first held one
+     * @private
+     * @param {Object} peer
+     * @param {Object} reorder
+     */
+    _skipOrdered(peer, reorder) {
+        // the earliest held one around the first message seen starts the order
+        const start = reorder.next === null ?
+            (reorder.first + MAX_COUNTER / 2) % MAX_COUNTER :
+            reorder.next;
+        let first;
+        let distance = Infinity;
+        for (const sequence of reorder.pending.keys()) {
+            const d = (sequence - start + MAX_COUNTER) % MAX_COUNTER;
+            if (d < distance) {
+                distance = d;
+                first = sequence;
+            }
+        }
+        if (first === undefined) return;
+        if (reorder.next === null) {
+            debuglog(`@_skipOrdered():: start:${first}, channel:${reorder.channel}, port:${peer.rinfo.port}, address:${peer.rinfo.address}`);
+            reorder.next = first;
+            this._releaseOrdered(peer, reorder);
+            return;
+        }
+        const from = reorder.next;
+        const to = (first - 1 + MAX_COUNTER) % MAX_COUNTER;
+        debuglog(`@_skipOrdered():: gap:${from}-${to}, channel:${reorder.channel}, port:${peer.rinfo.port}, address:${peer.rinfo.address}`);
+        reorder.next = first;
+        this.emit("gap", peer.rinfo, from, to, this._channels[reorder.channel].name);
+        this._releaseOrdered(peer, reorder);
+    }
+
+    /**
+     * @private
+     * @param {Object} peer
+     */
+    _stopOrdering(peer) {
+        for (const reorder of peer.reorders.values()) {
+            clearTimeout(reorder.timer);
+        }
+        peer.reorders.clear();
+    }
+
+    /**
+     * whether nothing is sent to or received from the peer now
+     * @private
+     * @param {Object} peer
+     * @return {boolean}
+     */
+    _isIdle(peer) {
+        if (peer.senders.size > 0 || peer.queued > 0 || peer.inFlight.messages > 0) return false;
+        if (peer.reassembly.messages > 0 || peer.handshakeTimer) return false;
+        for (const reorder of peer.reorders.values()) {
+            if (reorder.pending.size > 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * the peer is forgotten, a handshake is made again when it comes back
+     * @private
+     * @param {Object} peer
+     */
+    _evictPeer(peer) {
+        debuglog(`@_evictPeer():: port:${peer.rinfo.port}, address:${peer.rinfo.address}`);
+        this._stopProbing(peer);
+        this._stopOrdering(peer);
+        clearTimeout(peer.handshakeTimer);
+        peer.pings.clear();
+    }
+
     /**
      * @private
      * @param {number} id
@@ -269,6 +1158,15 @@ class ReUDP extends EventEmitter {
     _request(buffers, { id, singleTotal, total }, rinfo) {
         const holes = this._getHolesFrom(buffers, singleTotal, total);
         debuglog(`@_request():: id:${id}, singleTotal:${singleTotal}, total:${total}, holes:${holes}`);
+        // the time of the first request of every hole, for sampling the round trip time
+        const now = Date.now();
+        if (!buffers._requests) {
+            buffers._requests = new Map();
+        }
+        for (const seq of holes) {
+            // the packets requested again are ambiguous (Karn's algorithm)
+            buffers._requests.set(seq, buffers._requests.has(seq) ? 0 : now);
+        }
         this._sendReqPacket(id, holes, rinfo);
     }
 
@@ -301,7 +1199,7 @@ class ReUDP extends EventEmitter {
             this._notifyReqTimeout(id, rinfo);
         } else {
             this._request(buffers, info, rinfo);
-            this._delayResponsePshPacket(buffers, info, rinfo, this._RTT);
+            this._delayResponsePshPacket(buffers, info, rinfo, this._peers.get(rinfo).rtt.rto);
         }
     }
 
@@ -313,75 +1211,354 @@ class ReUDP extends EventEmitter {
      * @property {number} info.singleTotal
      * @property {number} info.total
      * @property {Buffer} info.data
+     * @property {number} info.flags
+     * @property {number} info.channel
+     * @property {number} info.sequence - of the message in the channel
      * @param {Address} rinfo
      */
-    _handlePshPacket({ id, seq, singleTotal, total, data }, rinfo) {
+    _handlePshPacket({ id, seq, singleTotal, total, data, flags, channel, sequence }, rinfo) {
         debuglog(`@_handlePshPacket():: id:${id}, seq:${seq}, singleTotal: ${singleTotal}, total:${total}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
-        const buffers = this._receivingSession.get(id, rinfo);
+        const buffers = this._reassemblyOf(id, rinfo);
         // drop the packet
         if (!buffers) {
             debuglog(`@_handlePshPacket:: Error: can not get receiving session from id:${id}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
             return;
         }
+        const peer = this._peers.get(rinfo);
+        if (this._handshakeEnabled && !peer.handshake) {
+            // learn the incarnation of the peer
+            this._handshake(peer);
+        }
+        const reorder = this._reorderOf(peer, channel, sequence);
+        if (reorder && reorder.timer && sequence === reorder.next) {
+            // the message at the head of line is still coming
+            this._waitOrdered(peer, reorder);
+        }
 
+        // only the packets that were requested once and retransmitted once
+        if (buffers._requests) {
+            const requestTime = buffers._requests.get(seq);
+            if (requestTime && flags & FLAG_RETRANSMIT) {
+                peer.rtt.update(Date.now() - requestTime);
+            }
+            buffers._requests.delete(seq);
+        }
         buffers._retryCount = 0;
 
         // duplicate packet
         if (Buffer.isBuffer(buffers[seq])) {
-            if (!buffers._used) {
-                buffers.__duplicateCounts__ = (buffers.__duplicateCounts__ || 0) + 1;
-            }
+            buffers.__duplicateCounts__ = (buffers.__duplicateCounts__ || 0) + 1;
+            this._count(rinfo, "duplicates");
+            return;
+        }
+        if (!this._reserve(buffers, id, rinfo, data.length)) {
             return;
         }
         buffers.__total__ = total;
+        buffers._flags = flags;
+        buffers._channel = channel;
+        buffers._sequence = sequence;
+        buffers._info = { id, singleTotal, total };
 
         buffers[seq] = data;
+        if (buffers._parities && buffers._parities[seq]) {
+            this._recover(buffers, buffers._parities[seq]);
+        }
 
-        this._delayResponsePshPacket(buffers, { id, singleTotal, total }, rinfo,  LATENCY);
+        this._delayResponsePshPacket(buffers, buffers._info, rinfo,  LATENCY);
     }
 
     /**
+     * the reassembly buffers of a message, a new message is refused when the
+     * peer has too many partial messages, or it was finished already
      * @private
-     * @param {Object} info
-     * @property {number} info.id
-     * @property {number[]} info.sequences
+     * @param {number} id
      * @param {Address} rinfo
+     * @return {?Buffer[]}
      */
-    _handleReqPacket({ id, sequences }, rinfo) {
-        debuglog(`@_handleReqPacket():: id:${id}, sequences:${sequences}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
-        const session = this._sendingSession.get(id, rinfo);
-        if (!session) {
-            this._sendErrPacket(id, ERR_NOT_FOUND_ID, rinfo);
-            return;
+    _reassemblyOf(id, rinfo) {
+        let finished = false;
+        if (this._receivingSession.has(id, rinfo)) {
+            const buffers = this._receivingSession.get(id, rinfo);
+            if (buffers._partial) {
+                return buffers;
+            }
+            if (buffers._errType !== undefined) {
+                this._sendErrPacket(id, buffers._errType, rinfo);
+                return null;
+            }
+            finished = Boolean(buffers._used);
+            if (!finished) {
+                // the finished session expired and was renewed
+                this._receivingSession.delete(id, rinfo);
+            }
         }
-        const packetsGenerator = session;
-        packetsGenerator._clearRetrySendingTimer(true);
-        const receivedQueues = packetsGenerator._receivedQueues;
-        const pendingQueues = packetsGenerator._pendingQueues;
-        const remainingQueues = packetsGenerator._remainingQueues;
-        let lastIndex = 0;
-        if (sequences[0] > lastIndex) {
-            for (let idx = lastIndex, len = sequences[0]; idx < len; idx++) {
-                receivedQueues[idx] = true;
-                pendingQueues.delete(idx);
-                utils.deleteBy(remainingQueues, idx);
+        // the state of the peer is made for an accepted message only
+        let peer = this._peers.peek(rinfo);
+        // the finished ids are of this incarnation only when the peer would
+        // tell a new one before its messages, a restarted peer uses them again
+        const known = this._isKnown(peer);
+        const replay = known ? peer.replay : null;
+        if (finished || (replay && replay.has(id))) {
+            debuglog(`@_reassemblyOf():: replayed id:${id}, port:${rinfo.port}, address:${rinfo.address}`);
+            this._count(rinfo, "duplicates");
+            if (known) {
+                // the FIN may be lost
+                this._sendFinPacket(id, rinfo);
+            } else if (peer && peer.handshake === HANDSHAKE_ESTABLISHED && !this._identity) {
+                // it may be a new message of a restarted peer, never FIN it
+                // but ask for the incarnation again, the FIN of a finished
+                // one is notified anyway
+                peer.handshake = null;
+                this._handshake(peer);
             }
-            lastIndex = sequences[0];
+            return null;
         }
-        const set = new Set(sequences);
-        for (let i = sequences[0], len = sequences[sequences.length - 1]; i <= len; i++) {
-            if (set.has(i)) {
-                if (receivedQueues[i]) {
-                    pendingQueues.delete(i);
-                    utils.deleteBy(remainingQueues, i);
-                } else {
-                    debuglog(`@_handleReqPacket():: id:${id}, sequence:${i}`);
+        if (replay && replay.isStale(id)) {
+            debuglog(`@_reassemblyOf():: stale id:${id}, port:${rinfo.port}, address:${rinfo.address}`);
+            this._sendErrPacket(id, ERR_REFUSED, rinfo);
+            return null;
+        }
+        const { messages, peerMessages } = this._reassemblyLimits;
+        if ((peer ? peer.reassembly.messages : 0) >= peerMessages) {
+            debuglog(`@_reassemblyOf():: refused id:${id}, port:${rinfo.port}, address:${rinfo.address}`);
+            this._sendErrPacket(id, ERR_REFUSED, rinfo);
+            return null;
+        }
+        while (this._reassembly.messages >= messages && this._evictIdlest()) {
+            // make room for the new message
+        }
+        peer = this._peers.get(rinfo);
+        const buffers = this._receivingSession.get(id, rinfo);
+        buffers._rinfo = peer.rinfo;
+        buffers._id = id;
+        buffers._partial = true;
+        buffers._bytes = 0;
+        buffers._startTime = Date.now();
+        peer.reassembly.messages += 1;
+        this._reassembly.messages += 1;
+        return buffers;
+    }
+
+    /**
+     * count the bytes to buffer for a message, the message is evicted if they
+     * exceed the limit of the peer, or the others when the total limit
+     * @private
+     * @param {Buffer[]} buffers
+     * @param {number} id
+     * @param {Address} rinfo
+     * @param {number} size
+     * @return {boolean} - false if the message was evicted
+     */
+    _reserve(buffers, id, rinfo, size) {
+        if (!buffers._partial) return true;
+        const peer = this._peers.get(rinfo);
+        const { bytes, peerBytes } = this._reassemblyLimits;
+        while (this._reassembly.bytes + size > bytes && this._evictIdlest(buffers)) {
+            // make room for the packet
+        }
+        if (peer.reassembly.bytes + size > peerBytes || this._reassembly.bytes + size > bytes) {
+            this._evict(buffers, id, rinfo);
+            return false;
+        }
+        buffers._bytes += size;
+        peer.reassembly.bytes += size;
+        this._reassembly.bytes += size;
+        return true;
+    }
+
+    /**
+     * evict the partial message that has been idle for the longest time
+     * @private
+     * @param {Buffer[]} [except]
+     * @return {boolean} - false if there is none
+     */
+    _evictIdlest(except) {
+        let idlest = null;
+        for (const [, buffers] of this._receivingSession) {
+            if (buffers._partial && buffers !== except &&
+                (!idlest || buffers.__lastVisit__ < idlest.__lastVisit__)) {
+                idlest = buffers;
+            }
+        }
+        if (!idlest) return false;
+        this._evict(idlest, idlest._id, idlest._rinfo);
+        return true;
+    }
+
+    /**
+     * drop a partial message and tell the sender, the late packets of it are
+     * answered so too
+     * @private
+     * @param {Buffer[]} buffers
+     * @param {number} id
+     * @param {Address} rinfo
+     */
+    _evict(buffers, id, rinfo) {
+        const size = buffers._bytes;
+        debuglog(`@_evict():: id:${id}, bytes:${size}, port:${rinfo.port}, address:${rinfo.address}`);
+        this._releaseReassembly(buffers);
+        clearTimeout(buffers._delayTimerId);
+        buffers.length = 0;
+        delete buffers._parities;
+        buffers._errType = ERR_REFUSED;
+        this._sendErrPacket(id, ERR_REFUSED, rinfo);
+        this.emit("reassembly-evicted", id, rinfo, size);
+    }
+
+    /**
+     * @private
+     * @param {Buffer[]} buffers
+     */
+    _releaseReassembly(buffers) {
+        if (!buffers._partial) return;
+        buffers._partial = false;
+        const peer = this._peers.peek(buffers._rinfo);
+        if (peer) {
+            peer.reassembly.messages -= 1;
+            peer.reassembly.bytes -= buffers._bytes;
+        }
+        this._reassembly.messages -= 1;
+        this._reassembly.bytes -= buffers._bytes;
+    }
+
+    /**
+     * @private
+     * @param {Object} info
+     * @property {number} info.id
+     * @property {number} info.start - the first sequence of the group
+     * @property {number} info.count - count of the packets in the group
+     * @property {number} info.length - XOR of the lengths of the packets
+     * @property {Buffer} info.data - XOR of the packets
+     * @param {Address} rinfo
+     */
+    _handleFecPacket({ id, start, count, length, data }, rinfo) {
+        debuglog(`@_handleFecPacket():: id:${id}, start:${start}, count:${count}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
+        // only a group of a message that is coming is recovered
+        if (!this._fec || count < 2 || !this._receivingSession.has(id, rinfo)) return;
+        const buffers = this._reassemblyOf(id, rinfo);
+        if (!buffers || !buffers._info || start + count > buffers._info.total) return;
+        if (!this._reserve(buffers, id, rinfo, data.length)) return;
+        const parity = { start, count, length, data };
+        buffers._parities = buffers._parities || [];
+        for (let seq = start; seq < start + count; seq++) {
+            buffers._parities[seq] = parity;
+        }
+        if (this._recover(buffers, parity)) {
+            this._delayResponsePshPacket(buffers, buffers._info, rinfo, LATENCY);
+        }
+    }
+
+    /**
+     * rebuild the packet of the group if only it is missing
+     * @private
+     * @param {Buffer[]} buffers
+     * @param {Object} parity
+     * @return {boolean} - whether a packet was rebuilt
+     */
+    _recover(buffers, parity) {
+        const { start, count } = parity;
+        const packets = [];
+        let missing = -1;
+        for (let seq = start; seq < start + count; seq++) {
+            if (Buffer.isBuffer(buffers[seq])) {
+                packets.push(buffers[seq]);
+            } else if (missing === -1) {
+                missing = seq;
+            } else {
+                return false;
+            }
+        }
+        for (let seq = start; seq < start + count; seq++) {
+            delete buffers._parities[seq];
+        }
+        if (missing === -1) return false;
+        debuglog(`@_recover():: sequence:${missing}`);
+        buffers[missing] = fec.recover(parity, packets);
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {Object} info
+     * @property {number} info.id
+     * @property {number[]} info.sequences
+     * @param {Address} rinfo
+     */
+    _handleReqPacket({ id, sequences }, rinfo) {
+        debuglog(`@_handleReqPacket():: id:${id}, sequences:${sequences}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
+        this._count(rinfo, "reqsReceived");
+        const session = this._sendingSession.get(id, rinfo);
+        if (!session) {
+            this._sendErrPacket(id, ERR_NOT_FOUND_ID, rinfo);
+            return;
+        }
+        const packetsGenerator = session;
+        packetsGenerator._clearRetrySendingTimer(true);
+        const receivedQueues = packetsGenerator._receivedQueues;
+        const pendingQueues = packetsGenerator._pendingQueues;
+        const remainingQueues = packetsGenerator._remainingQueues;
+        const now = Date.now();
+        let acked = 0;
+        let maxAcked = -1;
+        let rtt;
+        const ack = idx => {
+            if (!receivedQueues[idx]) {
+                acked += 1;
+                maxAcked = Math.max(maxAcked, idx);
+                // the retransmitted packets are ambiguous (Karn's algorithm)
+                if (pendingQueues.has(idx) && packetsGenerator._sentCounts[idx] === 1) {
+                    rtt = Math.min(rtt === undefined ? Infinity : rtt, now - pendingQueues.get(idx));
+                }
+            }
+            receivedQueues[idx] = true;
+            pendingQueues.delete(idx);
+            utils.deleteBy(remainingQueues, idx);
+        };
+        let lastIndex = 0;
+        if (sequences[0] > lastIndex) {
+            for (let idx = lastIndex, len = sequences[0]; idx < len; idx++) {
+                ack(idx);
+            }
+            lastIndex = sequences[0];
+        }
+        const set = new Set(sequences);
+        const holes = [];
+        for (let i = sequences[0], len = sequences[sequences.length - 1]; i <= len; i++) {
+            if (set.has(i)) {
+                if (receivedQueues[i]) {
+                    pendingQueues.delete(i);
+                    utils.deleteBy(remainingQueues, i);
+                } else {
+                    debuglog(`@_handleReqPacket():: id:${id}, sequence:${i}`);
                     utils.insert(packetsGenerator._queues, i);
+                    packetsGenerator._requested.add(i);
+                    holes.push(i);
                 }
             } else {
-                receivedQueues[i] = true;
-                pendingQueues.delete(i);
-                utils.deleteBy(remainingQueues, i);
+                ack(i);
+            }
+        }
+
+        const peer = this._peers.get(rinfo);
+        if (acked > 0) {
+            packetsGenerator._lastProgress = now;
+        }
+        if (rtt !== undefined) {
+            peer.rtt.update(rtt);
+        }
+        // the holes before a received packet were lost, the others may be
+        // still in flight or not sent yet
+        const lost = holes.filter(seq => seq < maxAcked && pendingQueues.has(seq)).length;
+        if (peer.fec) {
+            peer.fec.onAck(acked, lost);
+        }
+        if (peer.congestion) {
+            if (acked > 0) {
+                peer.congestion.onAck(acked, rtt);
+            }
+            if (lost > 0) {
+                peer.congestion.onLoss(lost, peer.rtt.srtt || peer.rtt.rto);
             }
         }
     }
@@ -398,6 +1575,25 @@ class ReUDP extends EventEmitter {
         if (session) {
             const packetsGenerator = session;
             packetsGenerator._clearRetrySendingTimer(true);
+            const peer = this._peers.get(rinfo);
+            const now = Date.now();
+            let lastSent = 0;
+            for (const [seq, time] of packetsGenerator._pendingQueues) {
+                if (packetsGenerator._sentCounts[seq] === 1) {
+                    lastSent = Math.max(lastSent, time);
+                }
+            }
+            const rtt = lastSent ? now - lastSent : undefined;
+            if (rtt !== undefined) {
+                peer.rtt.update(rtt);
+            }
+            if (peer.congestion) {
+                let received = 0;
+                for (let i = 0; i < packetsGenerator._total; i++) {
+                    if (packetsGenerator._receivedQueues[i]) received += 1;
+                }
+                peer.congestion.onAck(packetsGenerator._total - received, rtt);
+            }
             const { value: val } = packetsGenerator.next(null); // exit
             if (val) {
                 debuglog("source,", JSON.stringify({
@@ -406,6 +1602,7 @@ class ReUDP extends EventEmitter {
                     repeatRate: val,
                 }));
             }
+            this._settle(packetsGenerator, null);
             const onDrain = this._drains.get(packetsGenerator);
             if (onDrain) {
                 process.nextTick(() => {
@@ -413,6 +1610,7 @@ class ReUDP extends EventEmitter {
                 });
                 this._drains.delete(packetsGenerator);
             }
+            this._count(rinfo, "messagesSent");
             this.emit("drain", id, rinfo);
             this._sendingSession.delete(id, rinfo);
         }
@@ -421,44 +1619,669 @@ class ReUDP extends EventEmitter {
 
     /**
      * @private
-     * @param {Object} info
-     * @property {number} info.id
-     * @property {symbol} info.ackType
-     * @param {Address} rinfo
+     * @param {Object} info
+     * @property {number} info.id
+     * @property {symbol} info.ackType
+     * @property {number} [info.incarnation] - of the peer, when the ackType is UDP_SYN
+     * @property {number} [info.version] - when the ackType is UDP_SYN
+     * @property {number} [info.capabilities] - when the ackType is UDP_SYN
+     * @property {Buffer} [info.hello] - when the ackType is UDP_SYN
+     * @property {Buffer} [info.keyExchange] - when the ackType is UDP_SYN
+     * @param {Address} rinfo
+     */
+    _handleAckPacket({ id, ackType, incarnation, version, capabilities, hello, keyExchange }, rinfo) {
+        if (ackType === undefined) {
+            // the response of a packet of a newer version
+            debuglog(`@_handleAckPacket():: unknow ackType, id:${id}, port:${rinfo.port}, address:${rinfo.address}`);
+            return;
+        }
+        debuglog(`@_handleAckPacket():: id:${id}, ackType:${ackType.toString()}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
+        switch (ackType) {
+            case UDP_FIN:
+                {
+                    for (const item of this._finishNotifyQueue) {
+                        if (item[0] === id &&
+                            item[1] === rinfo.port &&
+                            item[2] === rinfo.address &&
+                            item[3] === rinfo.family) {
+                            this._finishNotifyQueue.delete(item);
+                            break;
+                        }
+                    }
+                }
+                break;
+            case UDP_RST:
+                {
+                    for (const item of this._resetNotifyQueue) {
+                        if (item[0] === id &&
+                            item[1] === rinfo.port &&
+                            item[2] === rinfo.address &&
+                            item[3] === rinfo.family) {
+                            this._resetNotifyQueue.delete(item);
+                            break;
+                        }
+                    }
+                }
+                break;
+            case UDP_SYN:
+                {
+                    const peer = this._peers.peek(rinfo);
+                    if (peer && peer.handshake === HANDSHAKE_PENDING && id === this._incarnation) {
+                        if (!this._supportsVersion(version)) {
+                            this._versionMismatch(peer, version);
+                            break;
+                        }
+                        if (this._identity && !this._acceptSynAck(peer, incarnation, hello, keyExchange)) break;
+                        clearTimeout(peer.handshakeTimer);
+                        delete peer.handshakeTimer;
+                        peer.handshake = HANDSHAKE_ESTABLISHED;
+                        peer.confirmed = true;
+                        peer.version = version;
+                        peer.capabilities = capabilities;
+                        this._updateIncarnation(peer, incarnation);
+                        if (this._identity && peer.pmtu) {
+                            this._probePmtu(peer);
+                        }
+                    }
+                }
+                break;
+            case UDP_KAL:
+                {
+                    const peer = this._peers.peek(rinfo);
+                    if (peer && peer.pings.has(id)) {
+                        peer.rtt.update(Date.now() - peer.pings.get(id));
+                        peer.pings.clear();
+                        this._touchSessions(rinfo);
+                    }
+                }
+                break;
+            case UDP_PRB:
+                {
+                    const peer = this._peers.peek(rinfo);
+                    if (peer && peer.pmtu && peer.probe && peer.probe.size === id) {
+                        clearTimeout(peer.probe.timerId);
+                        delete peer.probe;
+                        peer.pmtu.onAck(id);
+                        debuglog(`@_handleAckPacket():: pmtu:${peer.pmtu.size}, port:${rinfo.port}, address:${rinfo.address}`);
+                        this._probePmtu(peer);
+                    }
+                }
+                break;
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} info
+     * @property {number} info.id
+     * @property {symbol} info.errType
+     * @property {number} [info.version] - when the errType is ERR_VERSION_MISMATCH
+     * @property {Buffer} [info.signed] - the identity public key and the signature of the version
+     * @param {Address} rinfo
+     */
+    _handleErrPacket({ id, errType, version, signed }, rinfo) {
+        debuglog(`@_handleAckPacket():: id:${id}, errType:${errType.toString()}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
+        switch (errType) {
+            case ERR_NOT_FOUND_ID:
+                this._receivingSession.delete(id, rinfo);
+                break;
+            case ERR_VERSION_MISMATCH:
+                {
+                    const peer = this._peers.peek(rinfo);
+                    if (peer && peer.handshake === HANDSHAKE_PENDING && id === this._incarnation &&
+                            (!this._identity || this._verifyVersion(version, signed, rinfo))) {
+                        this._versionMismatch(peer, version);
+                    }
+                }
+                break;
+            default:
+                {
+                    const session = this._sendingSession.get(id, rinfo);
+                    if (session) {
+                        const err = new errors.PeerError(errType, id, rinfo);
+                        this._settle(session, err);
+                        this._sendingSession.delete(id, rinfo);
+                        // for the callers of send() too
+                        this.emit("peer-error", id, rinfo, err);
+                    }
+                }
+                break;
+        }
+    }
+
+    /**
+     * the sender canceled the message, drop what was received of it
+     * @private
+     * @param {Object} info
+     * @property {number} info.id
+     * @property {number} info.channel
+     * @property {number} info.sequence - of the message in the channel
+     * @param {Address} rinfo
+     */
+    _handleRstPacket({ id, channel, sequence }, rinfo) {
+        debuglog(`@_handleRstPacket():: id:${id}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
+        this._sendAckPacket(id, UDP_RST, rinfo);
+        const buffers = this._receivingSession.has(id, rinfo) ? this._receivingSession.get(id, rinfo) : null;
+        // finished already
+        if (buffers && buffers._used) return;
+        const peer = this._peers.peek(rinfo);
+        // the messages after it are not held until the timeout, even if none
+        // of its packets arrived
+        const reorder = peer ? this._reorderOf(peer, channel, sequence) : null;
+        if (reorder && !reorder.pending.has(sequence) &&
+            (reorder.next === null || !this._isBehind(sequence, reorder.next))) {
+            this._deliver(peer, reorder, sequence, Function());
+        }
+        if (!buffers) return;
+        this._receivingSession.delete(id, rinfo);
+        this.emit("aborted", id, rinfo);
+    }
+
+    /**
+     * @private
+     * @param {Object} info
+     * @property {number} info.id - the size of the probe
+     * @param {Address} rinfo
+     */
+    _handlePrbPacket({ id }, rinfo) {
+        debuglog(`@_handlePrbPacket():: size:${id}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
+        this._sendAckPacket(id, UDP_PRB, rinfo);
+    }
+
+    /**
+     * @private
+     * @param {Object} info
+     * @property {number} info.id
+     * @param {Address} rinfo
+     */
+    _handleKalPacket({ id }, rinfo) {
+        debuglog(`@_handleKalPacket():: id:${id}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
+        this._touchSessions(rinfo);
+        this._sendAckPacket(id, UDP_KAL, rinfo);
+    }
+
+    /**
+     * @private
+     * @param {Object} info
+     * @property {number} info.id
+     * @property {Buffer} info.data
+     * @param {Address} rinfo
+     */
+    _handleDgmPacket({ id, data }, rinfo) {
+        debuglog(`@_handleDgmPacket():: id:${id}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
+        const peer = this._peers.peek(rinfo);
+        const identity = peer ? peer.identity : undefined;
+        this.emit("datagram", data, rinfo, id, identity);
+    }
+
+    /**
+     * keep the sessions of the peer from being cleared
+     * @private
+     * @param {Address} rinfo
+     */
+    _touchSessions(rinfo) {
+        this._sendingSession.touchPeer(rinfo);
+        this._receivingSession.touchPeer(rinfo);
+    }
+
+    /**
+     * @private
+     * @param {Object} peer
+     */
+    _markAlive(peer) {
+        peer.lastReceived = Date.now();
+        peer.misses = 0;
+        if (!peer.alive) {
+            peer.alive = true;
+            this.emit("peer-up", peer.rinfo, peer.rtt.samples ? peer.rtt.latest : undefined);
+        }
+    }
+
+    /**
+     * send heartbeats to the idle peers, and find out the down peers
+     * @private
+     */
+    _checkAlive() {
+        const { interval, misses } = this._keepalive;
+        const now = Date.now();
+        for (const peer of [...this._peers]) {
+            if (now - peer.lastReceived < interval) continue;
+            // never reflects the heartbeats to a spoofed address
+            if (!peer.confirmed && !peer.counters.messagesSent && !peer.counters.messagesReceived) continue;
+            // the peer can not open the heartbeat before the handshake
+            if (this._identity && !peer.cipher) continue;
+            if (peer.pings.size > 0) {
+                peer.misses += 1;
+            }
+            if (peer.misses >= misses) {
+                if (peer.alive) {
+                    peer.alive = false;
+                    this.emit("peer-down", peer.rinfo, peer.rtt.samples ? peer.rtt.latest : undefined);
+                }
+                // no more heartbeats until it sends again
+                peer.pings.clear();
+                if (this._isIdle(peer)) {
+                    this._peers.evict(peer);
+                }
+                continue;
+            }
+            // only the latest heartbeat is waiting for the response
+            peer.pings.clear();
+            peer.pingId = (peer.pingId + 1) % MAX_COUNTER;
+            peer.pings.set(peer.pingId, now);
+            this._sendKalPacket(peer.pingId, peer.rinfo);
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} info
+     * @property {number} info.id - the incarnation of the peer
+     * @property {number} info.version
+     * @property {number} info.capabilities
+     * @property {Buffer} info.hello
+     * @property {Buffer} info.keyExchange
+     * @param {Address} rinfo
+     */
+    _handleSynPacket({ id, version, capabilities, hello, keyExchange }, rinfo) {
+        debuglog(`@_handleSynPacket():: incarnation:${id}, version:${version}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
+        // nothing of an unsigned SYN is trusted
+        const exchange = this._identity ? this._verifySyn(rinfo, id, hello, keyExchange) : null;
+        if (this._identity && !exchange) return;
+        const peer = this._peers.get(rinfo);
+        if (!this._supportsVersion(version)) {
+            this._versionMismatch(peer, version);
+            this._sendErrPacket(id, ERR_VERSION_MISMATCH, rinfo, this._packVersion(id), this._identity ? null : undefined);
+            return;
+        }
+        peer.initiator = true;
+        const accepted = this._identity ? this._acceptSyn(peer, id, exchange) : null;
+        if (this._identity && !accepted) return;
+        if (accepted && peer.cipher && accepted.cipher !== peer.cipher) {
+            // the SYN may be replayed, the keys are replaced after the peer
+            // proved the new ones by a packet sealed by them
+            if (peer.handshake === HANDSHAKE_PENDING && this._incarnation > id) return;
+            accepted.pending = { incarnation: id, version, capabilities };
+            const incarnationBuf = Buffer.alloc(4);
+            incarnationBuf.writeUInt32BE(this._incarnation);
+            this._sendAckPacket(id, UDP_SYN, rinfo, Buffer.concat([incarnationBuf, this._packHello(), accepted.keyExchange]), null);
+            return;
+        }
+        peer.version = version;
+        peer.capabilities = capabilities;
+        if (peer.handshake === HANDSHAKE_PENDING) {
+            // both sides started the handshake, the larger incarnation goes on
+            if (this._incarnation > id) return;
+            clearTimeout(peer.handshakeTimer);
+            delete peer.handshakeTimer;
+            peer.ephemeral = null;
+        }
+        // the peer learns the incarnation from the response
+        peer.handshake = HANDSHAKE_ESTABLISHED;
+        this._updateIncarnation(peer, id);
+        const incarnationBuf = Buffer.alloc(4);
+        incarnationBuf.writeUInt32BE(this._incarnation);
+        if (!accepted) {
+            this._sendAckPacket(id, UDP_SYN, rinfo, Buffer.concat([incarnationBuf, this._packHello()]));
+            return;
+        }
+        peer.cipher = accepted.cipher;
+        peer.identity = accepted.identity;
+        peer.confirmed = true;
+        // the peer has no session keys until it received the response
+        this._sendAckPacket(id, UDP_SYN, rinfo, Buffer.concat([incarnationBuf, this._packHello(), accepted.keyExchange]), null);
+    }
+
+    /**
+     * @private
+     * @param {number} version
+     * @return {boolean}
+     */
+    _supportsVersion(version) {
+        return version >= MIN_PROTOCOL_VERSION && version <= PROTOCOL_VERSION;
+    }
+
+    /**
+     * the peer speaks a version that is not supported, the sendings to it fail
+     * @private
+     * @param {Object} peer
+     * @param {number} version - of the peer
+     */
+    _versionMismatch(peer, version) {
+        const rinfo = peer.rinfo;
+        debuglog(`@_versionMismatch():: version:${version}, port:${rinfo.port}, address:${rinfo.address}`);
+        if (peer.handshake === HANDSHAKE_PENDING) {
+            clearTimeout(peer.handshakeTimer);
+            delete peer.handshakeTimer;
+            // try again with the next sending, the peer may be upgraded
+            peer.handshake = null;
+            peer.ephemeral = null;
+        }
+        for (const packetsGenerator of [...peer.senders]) {
+            const { _id: id } = packetsGenerator;
+            this._settle(packetsGenerator, new errors.VersionMismatchError(version, id, rinfo));
+            this._sendingSession.delete(id, rinfo);
+        }
+        this.emit("version-mismatch", rinfo, version, PROTOCOL_VERSION);
+    }
+
+    /**
+     * the version and the capabilities of this side
+     * @private
+     * @return {Buffer}
+     */
+    _packHello() {
+        const hello = Buffer.alloc(HELLO_SIZE);
+        hello.writeUInt8(PROTOCOL_VERSION, 0);
+        hello.writeUInt16BE(this._capabilities, 1);
+        return hello;
+    }
+
+    /**
+     * the version and the capabilities of the peer, and the key exchange
+     * @private
+     * @param {Buffer} buffer
+     * @return {{version: number, capabilities: number, hello: Buffer, keyExchange: Buffer}}
+     */
+    _parseHello(buffer) {
+        // the peers before the versions
+        if (buffer.length === 0) {
+            return ({ version: 1, capabilities: 0, hello: buffer, keyExchange: buffer });
+        }
+        // the version is always the first, the rest may change with it
+        const version = buffer.readUInt8(0);
+        const capabilities = buffer.length >= HELLO_SIZE ? buffer.readUInt16BE(1) : 0;
+        return ({
+            version,
+            capabilities,
+            hello: buffer.slice(0, HELLO_SIZE),
+            keyExchange: buffer.slice(HELLO_SIZE),
+        });
+    }
+
+    /**
+     * @private
+     * @param {Buffer} buffer
+     * @return {?{ephemeral: Buffer, identity: Buffer, signature: Buffer}}
+     */
+    _parseKeyExchange(buffer) {
+        if (!buffer || buffer.length < KEY_EXCHANGE_SIZE) return null;
+        let cursor = 0;
+        const ephemeral = buffer.slice(cursor, cursor += keyexchange.PUBLIC_KEY_SIZE);
+        const identity = buffer.slice(cursor, cursor += keyexchange.PUBLIC_KEY_SIZE);
+        const signature = buffer.slice(cursor, cursor += keyexchange.SIGNATURE_SIZE);
+        return ({ ephemeral, identity, signature });
+    }
+
+    /**
+     * @private
+     * @param {Buffer} ephemeral - the ephemeral public key of this side
+     * @param {Buffer} signed - the data to sign
+     * @return {Buffer} - the ephemeral and identity public key and the signature
+     */
+    _packKeyExchange(ephemeral, signed) {
+        return Buffer.concat([ephemeral, this._identity.publicKey, this._identity.sign(signed)]);
+    }
+
+    /**
+     * @private
+     * @param {Buffer} publicKey
+     * @param {Address} rinfo
+     * @return {boolean}
+     */
+    _authorize(publicKey, rinfo) {
+        if (typeof this._authorizePeer === "function") {
+            return Boolean(this._authorizePeer(Buffer.from(publicKey), Object.assign({}, rinfo)));
+        }
+        if (this._allowedPeers) {
+            return this._allowedPeers.has(publicKey.toString("hex"));
+        }
+        return true;
+    }
+
+    /**
+     * verify the key exchange of a SYN, the signature covers the version
+     * @private
+     * @param {Address} rinfo
+     * @param {number} incarnation - of the peer
+     * @param {Buffer} hello - the version and the capabilities of the peer
+     * @param {Buffer} buffer
+     * @return {?{ephemeral: Buffer, identity: Buffer, signature: Buffer}}
+     */
+    _verifySyn(rinfo, incarnation, hello, buffer) {
+        const exchange = this._parseKeyExchange(buffer);
+        const incarnationBuf = Buffer.alloc(4);
+        incarnationBuf.writeUInt32BE(incarnation);
+        if (!exchange ||
+            !keyexchange.verify(exchange.identity, Buffer.concat([
+                SYN_CONTEXT, incarnationBuf, hello, exchange.ephemeral,
+            ]), exchange.signature) ||
+            !this._authorize(exchange.identity, rinfo)) {
+            this._count(rinfo, "authFailures");
+            return null;
+        }
+        return exchange;
+    }
+
+    /**
+     * the version of this side for the refusal of a SYN, signed with the
+     * incarnation of the peer when exchanging the identities
+     * @private
+     * @param {number} incarnation - of the peer
+     * @return {Buffer}
+     */
+    _packVersion(incarnation) {
+        const versionBuf = Buffer.from([PROTOCOL_VERSION]);
+        if (!this._identity) return versionBuf;
+        const incarnationBuf = Buffer.alloc(4);
+        incarnationBuf.writeUInt32BE(incarnation);
+        return Buffer.concat([versionBuf, this._identity.publicKey, this._identity.sign(Buffer.concat([
+            VERSION_CONTEXT, incarnationBuf, versionBuf,
+        ]))]);
+    }
+
+    /**
+     * verify the signed version of the refusal of a SYN
+     * @private
+     * @param {number} version - of the peer
+     * @param {?Buffer} signed - the identity public key and the signature
+     * @param {Address} rinfo
+     * @return {boolean}
+     */
+    _verifyVersion(version, signed, rinfo) {
+        const incarnationBuf = Buffer.alloc(4);
+        incarnationBuf.writeUInt32BE(this._incarnation);
+        const identity = signed && signed.length === keyexchange.PUBLIC_KEY_SIZE + keyexchange.SIGNATURE_SIZE ?
+            signed.slice(0, keyexchange.PUBLIC_KEY_SIZE) :
+            null;
+        if (!identity ||
+            !keyexchange.verify(identity, Buffer.concat([
+                VERSION_CONTEXT, incarnationBuf, Buffer.from([version]),
+            ]), signed.slice(keyexchange.PUBLIC_KEY_SIZE)) ||
+            !this._authorize(identity, rinfo)) {
+            this._count(rinfo, "authFailures");
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * derive the session keys from the verified key exchange of a SYN
+     * @private
+     * @param {Object} peer
+     * @param {number} incarnation - of the peer
+     * @param {{ephemeral: Buffer, identity: Buffer}} exchange
+     * @return {?Object} - the cipher and the key exchange of the response
+     */
+    _acceptSyn(peer, incarnation, exchange) {
+        // a retried SYN gets the same keys
+        if (peer.accepted && peer.accepted.peerEphemeral.equals(exchange.ephemeral)) {
+            return peer.accepted;
+        }
+        const ephemeral = keyexchange.generateEphemeral();
+        const keys = keyexchange.deriveKeys(ephemeral, exchange.ephemeral);
+        if (!keys) {
+            this._count(peer.rinfo, "authFailures");
+            return null;
+        }
+        const incarnations = Buffer.alloc(8);
+        incarnations.writeUInt32BE(incarnation, 0);
+        incarnations.writeUInt32BE(this._incarnation, 4);
+        peer.accepted = {
+            peerEphemeral: exchange.ephemeral,
+            identity: Buffer.from(exchange.identity),
+            cipher: this._createCipher(keys),
+            keyExchange: this._packKeyExchange(ephemeral.publicKey, Buffer.concat([
+                SYN_ACK_CONTEXT, incarnations, this._packHello(), exchange.ephemeral, ephemeral.publicKey,
+            ])),
+        };
+        return peer.accepted;
+    }
+
+    /**
+     * verify the key exchange of the response of a SYN, and derive the
+     * session keys
+     * @private
+     * @param {Object} peer
+     * @param {number} incarnation - of the peer
+     * @param {Buffer} hello - the version and the capabilities of the peer
+     * @param {Buffer} buffer
+     * @return {boolean}
+     */
+    _acceptSynAck(peer, incarnation, hello, buffer) {
+        const exchange = this._parseKeyExchange(buffer);
+        const incarnations = Buffer.alloc(8);
+        incarnations.writeUInt32BE(this._incarnation, 0);
+        if (incarnation !== undefined) {
+            incarnations.writeUInt32BE(incarnation, 4);
+        }
+        const keys = exchange && incarnation !== undefined &&
+            keyexchange.verify(exchange.identity, Buffer.concat([
+                SYN_ACK_CONTEXT, incarnations, hello, peer.ephemeral.publicKey, exchange.ephemeral,
+            ]), exchange.signature) &&
+            this._authorize(exchange.identity, peer.rinfo) &&
+            keyexchange.deriveKeys(peer.ephemeral, exchange.ephemeral);
+        if (!keys) {
+            this._count(peer.rinfo, "authFailures");
+            return false;
+        }
+        peer.cipher = this._createCipher(keys);
+        peer.identity = Buffer.from(exchange.identity);
+        peer.ephemeral = null;
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {{sendKey: Buffer, receiveKey: Buffer}} keys
+     * @return {Cipher}
+     */
+    _createCipher({ sendKey, receiveKey }) {
+        return new Cipher({
+            key: sendKey,
+            receiveKey,
+            algorithm: this._algorithm,
+        }, HEADER_SIZE);
+    }
+
+    /**
+     * @private
+     * @param {Object} peer
+     * @param {number} incarnation
+     */
+    _updateIncarnation(peer, incarnation) {
+        const previous = peer.incarnation;
+        peer.incarnation = incarnation;
+        if (previous !== undefined && previous !== incarnation) {
+            this._resetPeer(peer, previous);
+        }
+    }
+
+    /**
+     * whether the incarnation of the peer is known, and it would tell the
+     * new one by a SYN before its messages when restarted
+     * @private
+     * @param {?Object} peer
+     * @return {boolean}
+     */
+    _isKnown(peer) {
+        return Boolean(peer) && peer.initiator && peer.handshake === HANDSHAKE_ESTABLISHED;
+    }
+
+    /**
+     * the peer was restarted, discard the states of the previous incarnation
+     * @private
+     * @param {Object} peer
+     * @param {number} previous - the previous incarnation
      */
-    _handleAckPacket({ id, ackType }, rinfo) {
-        debuglog(`@_handleAckPacket():: id:${id}, ackType:${ackType.toString()}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
-        switch (ackType) {
-            case UDP_FIN:
-                {
-                    for (const item of this._finishNotifyQueue) {
-                        if (item[0] === id &&
-                            item[1] === rinfo.port &&
-                            item[2] === rinfo.address &&
-                            item[3] === rinfo.family) {
-                            this._finishNotifyQueue.delete(item);
-                            break;
-                        }
-                    }
+    _resetPeer(peer, previous) {
+        const rinfo = peer.rinfo;
+        debuglog(`@_resetPeer():: incarnation:${previous} -> ${peer.incarnation}, port:${rinfo.port}, address:${rinfo.address}`);
+        this._receivingSession.deletePeer(rinfo);
+        if (peer.replay) {
+            peer.replay.reset();
+        }
+        const key = utils.peerKey(rinfo);
+        for (const queue of [this._finishNotifyQueue, this._resetNotifyQueue]) {
+            for (const item of queue) {
+                if (utils.peerKey({ port: item[1], address: item[2], family: item[3] }) === key) {
+                    queue.delete(item);
                 }
-                break;
+            }
+        }
+        for (const [streamKey, readable] of this._receivingStreams) {
+            if (streamKey.startsWith(`${key},`)) {
+                this._receivingStreams.delete(streamKey);
+                readable.destroy(new Error("peer was reset"));
+            }
+        }
+        // the packets sent to the previous incarnation would never finish,
+        // the ones waiting for the handshake are sent to the new one
+        for (const packetsGenerator of [...peer.senders]) {
+            if (packetsGenerator._sentCounts.length === 0) continue;
+            const { _id: id } = packetsGenerator;
+            this._settle(packetsGenerator, new errors.PeerResetError(id, rinfo));
+            this._sendingSession.delete(id, rinfo);
         }
+        // the ids of the new incarnation start again
+        this._stopOrdering(peer);
+        this.emit("peer-reset", rinfo, previous, peer.incarnation);
     }
 
     /**
+     * exchange the incarnations with the peer, a peer that does not respond
+     * is regarded as an old version
      * @private
-     * @param {Object} info
-     * @property {number} info.id
-     * @property {symbol} info.errType
-     * @param {Address} rinfo
+     * @param {Object} peer
      */
-    _handleErrPacket({ id, errType }, rinfo) {
-        debuglog(`@_handleAckPacket():: id:${id}, errType:${errType.toString()}, port:${rinfo.port}, address:${rinfo.address}, family:${rinfo.family}`);
-        switch (errType) {
-            case ERR_NOT_FOUND_ID:
-                this._receivingSession.delete(id, rinfo);
-                break;
+    _handshake(peer) {
+        if (peer.handshake || this.closed) return;
+        peer.handshake = HANDSHAKE_PENDING;
+        if (this._identity) {
+            peer.ephemeral = keyexchange.generateEphemeral();
         }
+        let count = 0;
+        const syn = () => {
+            if (count >= HANDSHAKE_RETRY_COUNT) {
+                delete peer.handshakeTimer;
+                debuglog(`@_handshake():: not responded, port:${peer.rinfo.port}, address:${peer.rinfo.address}`);
+                if (this._identity) {
+                    // never sends without the session keys
+                    peer.handshake = null;
+                    peer.ephemeral = null;
+                    for (const packetsGenerator of [...peer.senders]) {
+                        this._sendPshNotResponse(packetsGenerator._id, packetsGenerator._rinfo);
+                    }
+                    return;
+                }
+                peer.handshake = HANDSHAKE_UNSUPPORTED;
+                return;
+            }
+            count += 1;
+            this._sendSynPacket(peer);
+            peer.handshakeTimer = setTimeout(syn, peer.rtt.rto);
+        };
+        syn();
     }
 
     /**
@@ -466,28 +2289,34 @@ class ReUDP extends EventEmitter {
      * @param {Buffer} buffer
      * @return {Object} header
      * @property {symbol} header.type
+     * @property {number} header.flags
      * @property {number} header.id
      */
     _parseHeader(buffer) {
         let cursor = 0;
         const typeCode = buffer.readUInt8(cursor);
         const type = UDP_CODE_TYPES.get(typeCode);
-        cursor += 2;
+        cursor += 1;
+        const flags = buffer.readUInt8(cursor);
+        cursor += 1;
         const id = buffer.readUInt32BE(cursor);
-        return ({ type, id });
+        return ({ type, flags, id });
     }
 
     /**
      * @private
      * @param {Buffer} buffer
      * @param {number} cursor
+     * @param {Object} header
      * @return {Object} info
      * @property {number} info.seq
      * @property {number} info.singleTotal
      * @property {number} info.total
+     * @property {number} info.channel
+     * @property {number} info.sequence
      * @property {buffer} info.data
      */
-    _parsePshPacket(buffer, cursor) {
+    _parsePshPacket(buffer, cursor, header) {
         const seq = buffer.readUInt16BE(cursor);
         cursor += 2;
 
@@ -497,9 +2326,19 @@ class ReUDP extends EventEmitter {
         const total = buffer.readUInt16BE(cursor);
         cursor += 2;
 
+        // the messages without a channel are in the default one by the id
+        let channel = 0;
+        let sequence = header.id;
+        if (header.flags & FLAG_CHANNEL) {
+            channel = buffer.readUInt8(cursor);
+            cursor += 1;
+            sequence = buffer.readUInt32BE(cursor);
+            cursor += 4;
+        }
+
         const data = buffer.slice(cursor);
 
-        return ({ seq, singleTotal, total, data });
+        return ({ seq, singleTotal, total, channel, sequence, data });
     }
 
     /**
@@ -520,23 +2359,81 @@ class ReUDP extends EventEmitter {
      * @private
      * @param {Buffer} buffer
      * @param {number} cursor
-     * @return {{ackType: symbol}}
+     * @return {{version: number, capabilities: number, hello: Buffer, keyExchange: Buffer}}
+     */
+    _parseSynPacket(buffer, cursor) {
+        return this._parseHello(buffer.slice(cursor));
+    }
+
+    /**
+     * @private
+     * @param {Buffer} buffer
+     * @param {number} cursor
+     * @return {{ackType: symbol, incarnation: ?number, version: ?number, capabilities: ?number, hello: ?Buffer, keyExchange: ?Buffer}}
      */
     _parseAckPacket(buffer, cursor) {
         const ackTypeCode = buffer.readUInt8(cursor);
-        return ({
-            ackType: UDP_CODE_TYPES.get(ackTypeCode),
-        });
+        const ackType = UDP_CODE_TYPES.get(ackTypeCode);
+        cursor += 1;
+        if (ackType === UDP_SYN && buffer.length >= cursor + 4) {
+            return Object.assign({
+                ackType,
+                incarnation: buffer.readUInt32BE(cursor),
+            }, this._parseHello(buffer.slice(cursor + 4)));
+        }
+        return ({ ackType });
+    }
+
+    /**
+     * @private
+     * @param {Buffer} buffer
+     * @param {number} cursor
+     * @param {Object} header
+     * @return {{channel: number, sequence: number}}
+     */
+    _parseRstPacket(buffer, cursor, header) {
+        if (header.flags & FLAG_CHANNEL) {
+            return ({
+                channel: buffer.readUInt8(cursor),
+                sequence: buffer.readUInt32BE(cursor + 1),
+            });
+        }
+        return ({ channel: 0, sequence: header.id });
+    }
+
+    /**
+     * @private
+     * @param {Buffer} buffer
+     * @param {number} cursor
+     * @return {{start: number, count: number, length: number, data: Buffer}}
+     */
+    _parseFecPacket(buffer, cursor) {
+        const start = buffer.readUInt16BE(cursor);
+        cursor += 2;
+        const count = buffer.readUInt16BE(cursor);
+        cursor += 2;
+        const length = buffer.readUInt16BE(cursor);
+        cursor += 2;
+        const data = buffer.slice(cursor);
+        return ({ start, count, length, data });
     }
 
     /**
      * @private
      * @param {Buffer} buffer
      * @param {number} cursor
-     * @return {{errType: symbol}}
+     * @return {{errType: symbol, version: ?number, signed: ?Buffer}}
      */
     _parseErrPacket(buffer, cursor) {
         const errTypeCode = buffer.readUInt16BE(cursor);
+        cursor += 2;
+        if (errTypeCode === ERR_VERSION_MISMATCH && buffer.length > cursor) {
+            return ({
+                errType: errTypeCode,
+                version: buffer.readUInt8(cursor),
+                signed: buffer.slice(cursor + 1),
+            });
+        }
         return ({
             errType: errTypeCode,
         });
@@ -553,7 +2450,7 @@ class ReUDP extends EventEmitter {
         switch (header.type) {
             case UDP_PSH:
                 return Object.assign({},
-                    this._parsePshPacket(buffer, cursor),
+                    this._parsePshPacket(buffer, cursor, header),
                     header
                 );
             case UDP_REQ:
@@ -561,8 +2458,20 @@ class ReUDP extends EventEmitter {
                     this._parseReqPacket(buffer, cursor),
                     header
                 );
+            case UDP_SYN:
+                return Object.assign({},
+                    this._parseSynPacket(buffer, cursor),
+                    header
+                );
             case UDP_FIN:
+            case UDP_PRB:
+            case UDP_KAL:
                 return header;
+            case UDP_RST:
+                return Object.assign({},
+                    this._parseRstPacket(buffer, cursor, header),
+                    header
+                );
             case UDP_ACK:
                 return Object.assign({},
                     this._parseAckPacket(buffer, cursor),
@@ -573,8 +2482,18 @@ class ReUDP extends EventEmitter {
                     this._parseErrPacket(buffer, cursor),
                     header
                 );
+            case UDP_FEC:
+                return Object.assign({},
+                    this._parseFecPacket(buffer, cursor),
+                    header
+                );
+            case UDP_DGM:
+                return Object.assign({
+                    data: buffer.slice(cursor),
+                }, header);
             default:
-                console.error(`@_parse():: unknow type:${header.type}`);
+                // a packet of a newer version that is not negotiated
+                debuglog(`@_parse():: unknow type:${buffer.readUInt8(0)}`);
                 return null;
         }
     }
@@ -585,17 +2504,161 @@ class ReUDP extends EventEmitter {
      * @param {Address} rinfo
      */
     _receive(msg, rinfo) {
-        const buffer = utils.xor(msg);
-        if (!utils.checksum.verify(buffer)) {
-            console.error(`checksum failure, ${buffer}`);
+        // before anything is opened or parsed
+        const isNewPeer = !this._peers.has(rinfo);
+        let peers = this._peers.size;
+        if (isNewPeer && peers >= this._admission.maxPeers && this._peers.hasIdle()) {
+            // only the peers that are not idle count, an idle one is evicted
+            // when the state of the new peer is made
+            peers -= 1;
+        }
+        if (!this._admission.admit(rinfo.address, isNewPeer, peers)) {
+            debuglog(`@_receive():: rejected, port:${rinfo.port}, address:${rinfo.address}`);
             return;
         }
-        const result = this._parse(buffer.slice(2));
+        this._count(rinfo, "packetsReceived");
+        this._count(rinfo, "bytesReceived", msg.length);
+        let buffer;
+        if (this._identity) {
+            buffer = this._openSealed(this._peers.peek(rinfo), msg);
+            if (buffer === null || buffer.length < HEADER_SIZE) {
+                // the handshakes are signed instead of encrypted
+                buffer = this._openPlain(msg, rinfo);
+                if (buffer === null || !this._isHandshake(buffer)) {
+                    this._count(rinfo, "authFailures");
+                    return;
+                }
+            }
+        } else if (this._cipher) {
+            buffer = this._cipher.open(msg);
+            // drop the forged or corrupted packet silently
+            if (buffer === null || buffer.length < HEADER_SIZE) {
+                this._count(rinfo, "authFailures");
+                return;
+            }
+        } else {
+            buffer = this._openPlain(msg, rinfo);
+            if (buffer === null) return;
+        }
+        let result;
+        try {
+            result = this._parse(buffer);
+        } catch (err) {
+            // the body is truncated
+            result = null;
+        }
         if (result === null) {
-            console.error(`unknow buffer: ${buffer.toString("hex")}`);
+            debuglog(`@_receive():: unknow packet, port:${rinfo.port}, address:${rinfo.address}, buffer:${buffer.toString("hex")}`);
             return;
         }
         this.emit(this._events[result.type], result, rinfo);
+        // only the packets that made the state of the peer keep it
+        const peer = this._peers.peek(rinfo);
+        if (peer) {
+            this._peers.touch(peer);
+            if (this._keepalive) {
+                this._markAlive(peer);
+            }
+        }
+    }
+
+    /**
+     * open by the session keys of the peer, or by the new ones accepted from
+     * its SYN, that are used from then on
+     * @private
+     * @param {?Object} peer
+     * @param {Buffer} msg
+     * @return {?Buffer} - header and body, or null when failed to open
+     */
+    _openSealed(peer, msg) {
+        if (!peer) return null;
+        const buffer = peer.cipher ? peer.cipher.open(msg) : null;
+        const accepted = peer.accepted;
+        if (buffer !== null || !accepted || !accepted.pending) return buffer;
+        const opened = accepted.cipher.open(msg);
+        if (opened === null) return null;
+        const { incarnation, version, capabilities } = accepted.pending;
+        delete accepted.pending;
+        debuglog(`@_openSealed():: new keys, port:${peer.rinfo.port}, address:${peer.rinfo.address}`);
+        peer.cipher = accepted.cipher;
+        peer.identity = accepted.identity;
+        peer.version = version;
+        peer.capabilities = capabilities;
+        if (peer.handshake === HANDSHAKE_PENDING) {
+            clearTimeout(peer.handshakeTimer);
+            delete peer.handshakeTimer;
+            peer.ephemeral = null;
+        }
+        peer.handshake = HANDSHAKE_ESTABLISHED;
+        this._updateIncarnation(peer, incarnation);
+        return opened;
+    }
+
+    /**
+     * @private
+     * @param {Buffer} msg
+     * @param {Address} rinfo
+     * @return {?Buffer} - header and body, or null when the integrity check failed
+     */
+    _openPlain(msg, rinfo) {
+        const buffer = utils.xor(msg);
+        const { id, size } = this._integrity;
+        if (this._checkIntegrity(buffer, id, size, this._integrity)) {
+            return buffer.slice(this._integrity.size);
+        }
+        // every packet of a peer that uses another algorithm fails, and has
+        // no header of this one unlike a corrupted packet. the others are
+        // tried once a second at most
+        const peer = this._peers.peek(rinfo);
+        const now = Date.now();
+        if (peer && now - peer.integrityCheckedAt >= INTEGRITY_CHECK_INTERVAL &&
+                !this._checkIntegrity(buffer, id, size, null)) {
+            peer.integrityCheckedAt = now;
+            for (const other of this._otherIntegrities) {
+                if (this._checkIntegrity(buffer, other.id, other.size, other.integrity)) {
+                    if (peer.integrity !== other.algorithm) {
+                        peer.integrity = other.algorithm;
+                        this.emit("integrity-mismatch", rinfo, other.algorithm, this._integrity.algorithm);
+                    }
+                    break;
+                }
+            }
+        }
+        debuglog(`@_openPlain():: integrity failure, port:${rinfo.port}, address:${rinfo.address}`);
+        this._count(rinfo, "integrityFailures");
+        return null;
+    }
+
+    /**
+     * @private
+     * @param {Buffer} buffer - buffer with the tag in front
+     * @param {number} id - of the algorithm
+     * @param {number} size - of the tag
+     * @param {?Integrity} integrity - only the header is checked when null
+     * @return {boolean}
+     */
+    _checkIntegrity(buffer, id, size, integrity) {
+        if (buffer.length < size + HEADER_SIZE) return false;
+        const typeCode = buffer.readUInt8(size);
+        const flags = buffer.readUInt8(size + 1);
+        if (!UDP_CODE_TYPES.has(typeCode) || (flags & FLAG_INTEGRITY) >> FLAG_INTEGRITY_SHIFT !== id) {
+            return false;
+        }
+        return integrity ? integrity.verify(buffer) : true;
+    }
+
+    /**
+     * whether it is a SYN, or the response or the refusal of a SYN
+     * @private
+     * @param {Buffer} buffer - header and body
+     * @return {boolean}
+     */
+    _isHandshake(buffer) {
+        if (buffer.length < HEADER_SIZE) return false;
+        const typeCode = buffer.readUInt8(0);
+        return typeCode === UDP_SYN_CODE ||
+            (typeCode === UDP_ACK_CODE && buffer.length > HEADER_SIZE && buffer.readUInt8(HEADER_SIZE) === UDP_SYN_CODE) ||
+            (typeCode === UDP_ERR_CODE && buffer.length >= HEADER_SIZE + 2 && buffer.readUInt16BE(HEADER_SIZE) === ERR_VERSION_MISMATCH);
     }
 
     /**
@@ -617,6 +2680,7 @@ class ReUDP extends EventEmitter {
         len += buf.length;
 
         this._send(Buffer.concat([header, buf], len), rinfo);
+        this._count(rinfo, "reqsSent");
     }
 
     /**
@@ -624,17 +2688,49 @@ class ReUDP extends EventEmitter {
      * @param {number} id
      * @param {symbol} type
      * @param {Address} rinfo
+     * @param {Buffer} [body] - the rest of the packet
+     * @param {?Cipher} [cipher] - the cipher of the peer by default
      */
-    _sendAckPacket(id, type, rinfo) {
+    _sendAckPacket(id, type, rinfo, body = Buffer.alloc(0), cipher) {
         let len = 0;
+        // the response of a SYN tells the algorithms can be decompressed too
         const header = this._packHeader(UDP_ACK, id);
         len += header.length;
 
         const ackTypeBuf = Buffer.alloc(1);
         ackTypeBuf.writeUInt8(UDP_TYPE_CODES.get(type));
         len += ackTypeBuf.length;
+        len += body.length;
+
+        this._send(Buffer.concat([header, ackTypeBuf, body], len), rinfo, cipher);
+    }
+
+    /**
+     * @private
+     * @param {number} id
+     * @param {Address} rinfo
+     */
+    _sendKalPacket(id, rinfo) {
+        const header = this._packHeader(UDP_KAL, id);
+        this._send(header, rinfo);
+    }
 
-        this._send(Buffer.concat([header, ackTypeBuf], len), rinfo);
+    /**
+     * @private
+     * @param {Object} peer
+     */
+    _sendSynPacket(peer) {
+        const header = this._packHeader(UDP_SYN, this._incarnation);
+        const hello = this._packHello();
+        if (!this._identity) {
+            this._send(Buffer.concat([header, hello]), peer.rinfo);
+            return;
+        }
+        const incarnationBuf = header.slice(2);
+        const keyExchange = this._packKeyExchange(peer.ephemeral.publicKey, Buffer.concat([
+            SYN_CONTEXT, incarnationBuf, hello, peer.ephemeral.publicKey,
+        ]));
+        this._send(Buffer.concat([header, hello, keyExchange]), peer.rinfo, null);
     }
 
     /**
@@ -647,13 +2743,44 @@ class ReUDP extends EventEmitter {
         this._send(header, rinfo);
     }
 
+    /**
+     * @private
+     * @param {number} id
+     * @param {Address} rinfo
+     * @param {?Object} [channel] - the id and the sequence in the channel
+     */
+    _sendRstPacket(id, rinfo, channel = null) {
+        const header = this._packHeader(UDP_RST, id, channel ? FLAG_CHANNEL : 0);
+        const channelBuf = Buffer.alloc(channel ? CHANNEL_HEADER_SIZE : 0);
+        if (channel) {
+            channelBuf.writeUInt8(channel.id, 0);
+            channelBuf.writeUInt32BE(channel.sequence, 1);
+        }
+        this._send(Buffer.concat([header, channelBuf]), rinfo);
+    }
+
+    /**
+     * tell the peer the message was canceled until it responds
+     * @private
+     * @param {number} id
+     * @param {Address} rinfo
+     * @param {?Object} [channel] - the id and the sequence in the channel
+     */
+    _notifyReset(id, rinfo, channel = null) {
+        const { port, address, family } = rinfo;
+        this._sendRstPacket(id, rinfo, channel);
+        this._resetNotifyQueue.add([id, port, address, family, 0, channel]);
+    }
+
     /**
      * @private
      * @param {number} id
      * @param {symbol} errType
      * @param {Address}
+     * @param {Buffer} [body] - the rest of the packet
+     * @param {?Cipher} [cipher] - the cipher of the peer by default
      */
-    _sendErrPacket(id, errType, rinfo) {
+    _sendErrPacket(id, errType, rinfo, body = Buffer.alloc(0), cipher) {
         let len = 0;
         const header = this._packHeader(UDP_ERR, id);
         len += header.length;
@@ -661,36 +2788,103 @@ class ReUDP extends EventEmitter {
         const errTypeBuf = Buffer.alloc(2);
         errTypeBuf.writeUInt16BE(errType);
         len += errTypeBuf.length;
+        len += body.length;
+
+        this._send(Buffer.concat([header, errTypeBuf, body], len), rinfo, cipher);
+    }
 
-        this._send(Buffer.concat([header, errTypeBuf], len), rinfo);
+    /**
+     * @private
+     * @param {number} id
+     * @param {number} start - the first sequence of the group
+     * @param {Buffer[]} packets - the data of the group
+     * @param {Address} rinfo
+     */
+    _sendFecPacket(id, start, packets, rinfo) {
+        const { length, data } = fec.parity(packets);
+        const header = this._packHeader(UDP_FEC, id);
+        const group = Buffer.alloc(6);
+        group.writeUInt16BE(start, 0);
+        group.writeUInt16BE(packets.length, 2);
+        group.writeUInt16BE(length, 4);
+        this._send(Buffer.concat([header, group, data]), rinfo);
+    }
+
+    /**
+     * send a probe that is padded to the size, the id of the header is the size
+     * @private
+     * @param {number} size - the size of the datagram
+     * @param {Address} rinfo
+     */
+    _sendPrbPacket(size, rinfo) {
+        const header = this._packHeader(UDP_PRB, size);
+        const padding = Buffer.alloc(size - this._wrapOverhead - header.length);
+        this._send(Buffer.concat([header, padding], size - this._wrapOverhead), rinfo);
+    }
+
+    /**
+     * @private
+     * @param {Address} rinfo
+     * @return {?Cipher}
+     */
+    _cipherOf(rinfo) {
+        if (!this._identity) {
+            return this._cipher;
+        }
+        const peer = this._peers.peek(rinfo);
+        return peer ? peer.cipher : null;
     }
 
     /**
      * @private
      * @param {buffer} buffer
      * @param {Address} rinfo
+     * @param {?Cipher} [cipher] - the cipher of the peer by default, or null
+     *        to send in plaintext
      */
-    _send(buffer, rinfo) {
-        let port, address;
-        if (rinfo) {
-            ({port, address} = rinfo);
-        } else {
-            console.error("can not find address to sends buffer");
+    _send(buffer, rinfo, cipher = this._cipherOf(rinfo)) {
+        if (!rinfo) {
+            debuglog("@_send():: can not find address to sends buffer");
+            return;
         }
-        const buf = utils.xor(utils.checksum.generate(buffer));
+        const {port, address} = rinfo;
+        const buf = cipher ?
+            cipher.seal(buffer) :
+            utils.xor(this._integrity.generate(buffer));
         this._socket.send(buf, 0, buf.length, port, address);
+        this._count(rinfo, "packetsSent");
+        this._count(rinfo, "bytesSent", buf.length);
+    }
+
+    /**
+     * @private
+     * @param {?Address} rinfo - only in total when the peer is unknown
+     * @param {string} name - of the counter
+     * @param {number} [value=1]
+     */
+    _count(rinfo, name, value = 1) {
+        this._counters[name] += value;
+        const peer = rinfo ? this._peers.peek(rinfo) : undefined;
+        if (peer) {
+            peer.counters[name] += value;
+        }
     }
 
     /**
      * @private
      * @param {symbol} type
      * @param {number} id
+     * @param {number} [flags=0]
      */
-    _packHeader(type, id) {
+    _packHeader(type, id, flags = 0) {
         let cursor = 0;
         const header = Buffer.alloc(6);
         header.writeUInt8(UDP_TYPE_CODES.get(type), cursor);
-        cursor += 2;
+        cursor += 1;
+        // the packets that are not encrypted tell the peer the integrity algorithm
+        const integrityFlags = this._cipher ? 0 : this._integrity.id << FLAG_INTEGRITY_SHIFT;
+        header.writeUInt8(flags | integrityFlags, cursor);
+        cursor += 1;
         header.writeUInt32BE(id, cursor);
         return header;
     }
@@ -702,13 +2896,15 @@ class ReUDP extends EventEmitter {
      * @param {number} singleTotal
      * @param {number} total
      * @param {Buffer} buf
+     * @param {number} [flags=0]
+     * @param {?Object} [channel] - the id and the sequence in the channel
      * @return {Buffer}
      */
-    _packData(id, seq, singleTotal, total, buf) {
+    _packData(id, seq, singleTotal, total, buf, flags = 0, channel = null) {
         debuglog(`@_packData():: id:${id}, seq:${seq}, singleTotal:${singleTotal}, total:${total}`);
         let len = buf.length;
 
-        const header = this._packHeader(UDP_PSH, id);
+        const header = this._packHeader(UDP_PSH, id, flags);
         len += header.length;
 
         const seqBuf = Buffer.alloc(2);
@@ -723,39 +2919,219 @@ class ReUDP extends EventEmitter {
         totalCountBuf.writeUInt16BE(total);
         len += totalCountBuf.length;
 
+        const channelBuf = Buffer.alloc(channel ? CHANNEL_HEADER_SIZE : 0);
+        if (channel) {
+            channelBuf.writeUInt8(channel.id, 0);
+            channelBuf.writeUInt32BE(channel.sequence, 1);
+        }
+        len += channelBuf.length;
+
         return Buffer.concat([
-            header, seqBuf, parallelCountBuf, totalCountBuf, buf,
+            header, seqBuf, parallelCountBuf, totalCountBuf, channelBuf, buf,
         ], len);
     }
 
     /**
      * @private
-     * @param {number} id
-     * @param {Buffer} buffer
+     * @param {number} id
+     * @param {Buffer} buffer
+     * @param {number} singleTotal
+     * @param {number} total
+     * @param {number[]} req
+     * @param {number} [flags=0]
+     * @param {number} [packetSize=MAX_PACKET_SIZE]
+     * @param {?Object} [channel]
+     */
+    *_generatePacketsBy(id, buffer, singleTotal, total, req, flags = 0, packetSize = MAX_PACKET_SIZE, channel = null) {
+        const length = buffer.length;
+        debuglog(`@_generatePacketsBy():: id:${id}, singleTotal:${singleTotal}, total:${total}`);
+
+        let counts = 0;
+
+        while (req && req.length > 0) {
+            let parallels = req.map(seq => {
+                counts += 1;
+                const start = seq * packetSize;
+                const end = Math.min(start + packetSize, length);
+                const buf = buffer.slice(start, end);
+                return [seq, this._packData(id, seq, singleTotal, total, buf, flags, channel)];
+            });
+            req = yield parallels;
+        }
+
+        return counts / total;
+    }
+
+    /**
+     * @private
+     * @param {number} id
+     * @param {Address} rinfo
+     */
+    _sendPshNotResponse(id, rinfo) {
+        const peer = this._peers.peek(rinfo);
+        if (peer && peer.pmtu) {
+            // may be a black hole of large packets, search again
+            this._stopProbing(peer);
+            peer.pmtu.reset();
+        }
+        if (peer && this._identity && peer.handshake === HANDSHAKE_ESTABLISHED) {
+            // the peer may be restarted and lost the session keys
+            peer.handshake = null;
+        }
+        this._expire(id, rinfo, "unresponsive");
+    }
+
+    /**
+     * tear down a message that timed out
+     * @private
+     * @param {number} id
+     * @param {Address} rinfo
+     * @param {string} reason - "unresponsive", "stall", "deadline" or "expired"
+     */
+    _expire(id, rinfo, reason) {
+        const session = this._sendingSession.get(id, rinfo);
+        const progress = session ? this._progressOf(session) : undefined;
+        debuglog(`@_expire():: id:${id}, reason:${reason}, progress:${JSON.stringify(progress)}`);
+        if (session) {
+            this._settle(session, new errors.TimeoutError(id, rinfo, reason, progress));
+        }
+        this._sendingSession.delete(id, rinfo);
+        if (session) {
+            // the peer drops what it has received of it
+            this._notifyReset(id, rinfo, session._channelSequence);
+        }
+        this._count(rinfo, "timeouts");
+        this.emit("timeout", id, rinfo, reason, progress);
+    }
+
+    /**
+     * the deadline of a message is due, whether it is queued or being sent
+     * @private
+     * @param {Object} message
+     */
+    _expireDeadline(message) {
+        const { id, rinfo, buffer, channel, hooks } = message;
+        if (this._queuedMessages.get(this._queuedKey(id, rinfo)) !== message) {
+            if (this._sendingSession.has(id, rinfo)) {
+                this._expire(id, rinfo, "deadline");
+            }
+            return;
+        }
+        // none of its packets was sent
+        this._dequeue(message);
+        const progress = {
+            total: Math.ceil(buffer.length / this._packetSizeOf(rinfo)),
+            sent: 0,
+            received: 0,
+            elapsed: Date.now() - message.queuedTime,
+        };
+        debuglog(`@_expireDeadline():: queued id:${id}, port:${rinfo.port}, address:${rinfo.address}`);
+        if (hooks) {
+            hooks.onError(new errors.TimeoutError(id, rinfo, "deadline", progress));
+        }
+        // the id was taken, the peer does not wait for it in order
+        this._notifyReset(id, rinfo, channel);
+        this._scheduleFlush();
+        this._count(rinfo, "timeouts");
+        this.emit("timeout", id, rinfo, "deadline", progress);
+    }
+
+    /**
+     * @private
+     * @param {Generator} gen
+     * @return {Object} - how far the message got
+     */
+    _progressOf(gen) {
+        let sent = 0;
+        let received = 0;
+        for (let seq = 0; seq < gen._total; seq++) {
+            if (gen._sentCounts[seq]) sent += 1;
+            if (gen._receivedQueues[seq]) received += 1;
+        }
+        return {
+            total: gen._total,
+            sent,
+            received,
+            elapsed: Date.now() - gen._startTime,
+        };
+    }
+
+    /**
+     * @private
+     * @param {Address} rinfo
+     * @return {number} - the size of data in a PSH packet to the peer
+     */
+    _packetSizeOf(rinfo) {
+        const channelHeaderSize = this._channelsEnabled ? CHANNEL_HEADER_SIZE : 0;
+        return this._datagramSizeOf(rinfo) - PSH_HEADER_SIZE - channelHeaderSize;
+    }
+
+    /**
+     * @private
+     * @param {Address} rinfo
+     * @return {number} - the size of header and body in a datagram to the peer
      */
-    *_generatePacketsBy(id, buffer, singleTotal, total, req) {
-        const length = buffer.length;
-        debuglog(`@_generatePacketsBy():: id:${id}, singleTotal:${singleTotal}, total:${total}`);
+    _datagramSizeOf(rinfo) {
+        const peer = this._peers.get(rinfo);
+        const size = peer.pmtu ? peer.pmtu.size : DATAGRAM_SIZE;
+        return size - this._wrapOverhead;
+    }
 
-        let counts = 0;
+    /**
+     * @private
+     * @param {Address} rinfo
+     * @return {number}
+     */
+    _maxBufferSizeOf(rinfo) {
+        return Math.pow(2, 15) * this._packetSizeOf(rinfo);
+    }
 
-        while (req && req.length > 0) {
-            let parallels = req.map(seq => {
-                counts += 1;
-                const start = seq * MAX_PACKET_SIZE;
-                const end = Math.min(start + MAX_PACKET_SIZE, length);
-                const buf = buffer.slice(start, end);
-                return [seq, this._packData(id, seq, singleTotal, total, buf)];
-            });
-            req = yield parallels;
+    /**
+     * probe the next size of the searching, or search again later if finished
+     * @private
+     * @param {Object} peer
+     */
+    _probePmtu(peer) {
+        if (peer.probe || this.closed) return;
+        // the peer can not open the probes before the handshake
+        if (this._identity && !peer.cipher) return;
+        const size = peer.pmtu.next();
+        if (size === null) {
+            peer.probe = {
+                size: null,
+                timerId: setTimeout(() => {
+                    delete peer.probe;
+                    peer.pmtu.raise();
+                    this._probePmtu(peer);
+                }, PMTU_RAISE_INTERVAL),
+            };
+            return;
         }
-
-        return counts / total;
+        let count = 0;
+        const probe = () => {
+            if (count >= PMTU_PROBE_COUNT) {
+                delete peer.probe;
+                peer.pmtu.onLoss(size);
+                this._probePmtu(peer);
+                return;
+            }
+            count += 1;
+            this._sendPrbPacket(size, peer.rinfo);
+            peer.probe.timerId = setTimeout(probe, peer.rtt.rto);
+        };
+        peer.probe = { size };
+        probe();
     }
 
-    _sendPshNotResponse(id, rinfo) {
-        this._sendingSession.delete(id, rinfo);
-        this.emit("timeout", id, rinfo);
+    /**
+     * @private
+     * @param {Object} peer
+     */
+    _stopProbing(peer) {
+        if (peer.probe) {
+            clearTimeout(peer.probe.timerId);
+            delete peer.probe;
+        }
     }
 
     /**
@@ -774,26 +3150,63 @@ class ReUDP extends EventEmitter {
         }
     }
 
+    /**
+     * @private
+     * @param {Object} peer
+     * @return {number} - count of the packets in flight to the peer
+     */
+    _inFlightOf(peer) {
+        let count = 0;
+        for (const gen of peer.senders) {
+            count += gen._pendingQueues.size;
+        }
+        return count;
+    }
+
+    /**
+     * @private
+     * @param {Object} peer
+     * @param {Generator} gen
+     * @return {boolean} - whether a sender of higher priority has packets to send
+     */
+    _isPreempted(peer, gen) {
+        for (const other of peer.senders) {
+            if (other._priority > gen._priority &&
+                (other._queues.length > 0 || other._remainingQueues.length > 0)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     /**
      * @private
      * @param {number} id
      * @param {Address} rinfo
      * @param {Buffer} buffer
+     * @param {number} [flags=0]
+     * @param {?Object} [channel] - the id and the sequence in the channel
      * @return {Generator}
      */
-    _createPacketGenerator(id, rinfo, buffer) {
-        const total = Math.ceil(buffer.length / MAX_PACKET_SIZE);
+    _createPacketGenerator(id, rinfo, buffer, flags = 0, channel = null) {
+        const packetSize = this._packetSizeOf(rinfo);
+        const total = Math.ceil(buffer.length / packetSize);
         const singleTotal = Math.min(this._parallelCount, total);
         const firstSingleTotal = Math.min(singleTotal * this._frequency, total);
         const requestSequences = utils.unzipSequences(
             [0x8000, 0x8000 | (firstSingleTotal - 1)]
         );
-        const gen = this._generatePacketsBy(id, buffer, singleTotal, total, requestSequences.slice(0, singleTotal));
+        const gen = this._generatePacketsBy(id, buffer, singleTotal, total, requestSequences.slice(0, singleTotal), flags, packetSize, channel);
 
         gen._id = id;
         gen._rinfo = Object.assign({}, rinfo);
         gen._total = total;
         gen._singleTotal = singleTotal;
+        gen._channel = channel ? channel.id : 0;
+        gen._channelSequence = channel;
+        gen._priority = this._channels[gen._channel].priority;
+        gen._startTime = Date.now();
+        gen._lastProgress = gen._startTime;
 
         gen._receivedQueues = [];
         gen._pendingQueues = new Map();
@@ -804,33 +3217,91 @@ class ReUDP extends EventEmitter {
             }
             return ary;
         })();
-        gen._checkFreshTimer = setInterval(
-            this._checkFresh,
-            LATENCY,
-            gen._pendingQueues, gen._remainingQueues, this._RTT
-        );
+        gen._sentCounts = [];
+        // the packets requested by the receiver
+        gen._requested = new Set();
+        const peer = this._peers.get(rinfo);
+        peer.senders.add(gen);
+        gen._checkFreshTimer = setInterval(() => {
+            const stallTimeout = this._stallTimeout === null ?
+                peer.rtt.rto * RETRY_REQUEST_COUNT :
+                this._stallTimeout;
+            if (stallTimeout && Date.now() - gen._lastProgress > stallTimeout) {
+                this._expire(id, gen._rinfo, "stall");
+                return;
+            }
+            this._checkFresh(gen._pendingQueues, gen._remainingQueues, peer.rtt.rto);
+        }, LATENCY);
+        // the parity of a group is sent after its packets were sent once
+        const groupSize = peer.fec && peer.capabilities & CAP_FEC ? peer.fec.groupSize : 0;
+        const groupSents = [];
+        const sendParity = seq => {
+            const group = Math.floor(seq / groupSize);
+            const start = group * groupSize;
+            const count = Math.min(groupSize, total - start);
+            groupSents[group] = (groupSents[group] || 0) + 1;
+            if (count < 2 || groupSents[group] !== count) return;
+            const packets = [];
+            for (let i = start; i < start + count; i++) {
+                packets.push(buffer.slice(i * packetSize, Math.min((i + 1) * packetSize, buffer.length)));
+            }
+            this._sendFecPacket(id, start, packets, gen._rinfo);
+        };
+        const sendPacket = (seq, pkt) => {
+            if (gen._requested.delete(seq) && gen._sentCounts[seq] === 1) {
+                // the receiver samples the round trip time by it
+                pkt = Buffer.from(pkt);
+                pkt[1] |= FLAG_RETRANSMIT;
+            }
+            this._send(pkt, gen._rinfo);
+            gen._pendingQueues.set(seq, Date.now());
+            gen._sentCounts[seq] = (gen._sentCounts[seq] || 0) + 1;
+            if (gen._sentCounts[seq] > 1) {
+                this._count(gen._rinfo, "retransmissions");
+            }
+            utils.deleteBy(gen._remainingQueues, seq);
+            if (groupSize && gen._sentCounts[seq] === 1) {
+                sendParity(seq);
+            }
+        };
 
         const _queues = gen._queues = [...requestSequences];
         let firstRun = true;
         gen._intervalId = setInterval(() => {
             if (_queues.length === 0) return;
+            // waits for the handshake, which has its own timeout
+            if (peer.handshake === HANDSHAKE_PENDING) {
+                gen._lastProgress = Date.now();
+                return;
+            }
+            // the channels of higher priority are sent first
+            if (this._isPreempted(peer, gen)) {
+                gen._lastProgress = Date.now();
+                return;
+            }
+            const quota = peer.congestion ?
+                Math.min(peer.congestion.quota(this._inFlightOf(peer)), MAX_PACKETS_PER_TICK) :
+                singleTotal;
+            if (quota <= 0) return;
             let i = 0;
             const requestSequences = [];
-            while (i < singleTotal && _queues.length) {
+            while (i < quota && _queues.length) {
                 const seq = _queues.shift();
                 if (!gen._receivedQueues[seq] && !gen._pendingQueues.has(seq)) {
                     requestSequences.push(seq);
                 }
                 i += 1;
             }
-            if (requestSequences.length < singleTotal && gen._remainingQueues.length) {
-                let len = Math.min(singleTotal - requestSequences.length, gen._remainingQueues.length);
+            if (requestSequences.length < quota && gen._remainingQueues.length) {
+                let len = Math.min(quota - requestSequences.length, gen._remainingQueues.length);
                 for (let i = 0; i < len; i++) {
                     let seq = gen._remainingQueues[i];
                     utils.insert(requestSequences, seq);
                 }
             }
 
+            // an empty request would finish the generator
+            if (requestSequences.length === 0) return;
             const { value: packets, done } = gen.next(requestSequences);
             if (done) {
                 //
@@ -844,9 +3315,7 @@ class ReUDP extends EventEmitter {
                 return;
             }
             for (const [seq, pkt] of packets) {
-                this._send(pkt, gen._rinfo);
-                gen._pendingQueues.set(seq, Date.now());
-                utils.deleteBy(gen._remainingQueues, seq);
+                sendPacket(seq, pkt);
             }
             debuglog(`@interval, remaining:${_queues.length}`);
 
@@ -854,17 +3323,16 @@ class ReUDP extends EventEmitter {
                 firstRun = false;
                 // retry first packets
                 let count = -1;
-                let delay = this._RTT + 1000;
+                let delay = peer.rtt.rto + 1000;
                 let _ = () => {
                     count += 1;
                     delay *= 1.8;
                     if (count < 3) {
                         debuglog(`@interval, retry:${count + 1}, next time:${delay}ms`);
+                        gen._retryCount = count + 1;
                         if (_queues.length === 0) {
                             for (const [seq, pkt] of packets) {
-                                this._send(pkt, gen._rinfo);
-                                gen._pendingQueues.set(seq, Date.now());
-                                utils.deleteBy(gen._remainingQueues, seq);
+                                sendPacket(seq, pkt);
                             }
                         }
                         gen._retrySendingTimer = setTimeout(_, delay);
@@ -892,11 +3360,21 @@ class ReUDP extends EventEmitter {
      * @param {number} id
      * @param {Address} rinfo
      * @param {Function} [onDrain]
+     * @param {number} [flags=0]
+     * @param {?Object} [channel]
      */
-    _sendPshPacket(buffer, id, rinfo, onDrain) {
-        const packetsGenerator = this._createPacketGenerator(id, rinfo, buffer);
+    _sendPshPacket(buffer, id, rinfo, onDrain, flags = 0, channel = null) {
+        const packetsGenerator = this._createPacketGenerator(id, rinfo, buffer, flags, channel);
         this._sendingSession.set(id, rinfo, packetsGenerator);
 
+        // released when the session is deleted
+        const peer = this._peers.get(rinfo);
+        packetsGenerator._size = buffer.length;
+        this._inFlight.bytes += buffer.length;
+        this._inFlight.messages += 1;
+        peer.inFlight.bytes += buffer.length;
+        peer.inFlight.messages += 1;
+
         if (typeof onDrain === "function") {
             this._drains.set(packetsGenerator, onDrain);
         }
@@ -906,19 +3384,188 @@ class ReUDP extends EventEmitter {
      * @public
      * @param {Buffer} buffer
      * @param {Address} [rinfo=this._remoteAddress]
-     * @param {Function} [onDrain]
-     * @return {number}
+     * @param {Function} [onDrain] - called with the id and the address when
+     *        the peer has received all packets
+     * @param {Object} [options={}]
+     * @property {number} [options.deadline] - the message fails with a
+     *           `timeout` event if the peer has not received all packets in
+     *           this time in ms, including the time queued
+     * @return {?(number|boolean)} - the id, null for an empty buffer, or
+     *         false like `Writable#write()` when it was queued because of the
+     *         limits of `inFlight`, the id is given to `onDrain` then
      */
-    send(buffer, rinfo, onDrain) {
-        if (!rinfo || typeof rinfo === "function") {
+    send(buffer, rinfo, onDrain, options) {
+        if (typeof rinfo === "function") {
+            options = onDrain;
+            onDrain = rinfo;
+            rinfo = undefined;
+        }
+        if (onDrain && typeof onDrain !== "function") {
+            options = onDrain;
+            onDrain = undefined;
+        }
+        if (!rinfo) {
             if (!this._remoteAddress) {
                 throw new Error("remote address must be specify!");
-            } else {
-                if (typeof rinfo === "function") {
-                    onDrain = rinfo;
-                }
-                rinfo = this._remoteAddress;
             }
+            rinfo = this._remoteAddress;
+        }
+        const { deadline } = options || {};
+        const id = this._sendMessage(buffer, rinfo, onDrain, 0, DEFAULT_CHANNEL, null, deadline);
+        if (id !== null && this._queuedMessages.has(this._queuedKey(id, rinfo))) {
+            return false;
+        }
+        return id;
+    }
+
+    /**
+     * false when the messages are queued because of the limits of
+     * `inFlight`, a `writable` event is emitted when the queue is empty
+     * @public
+     * @return {boolean}
+     */
+    get writable() {
+        return this._dataQueues.length === 0;
+    }
+
+    /**
+     * @private
+     * @param {number} id
+     * @param {Address} rinfo
+     * @return {string} - the key of a queued message
+     */
+    _queuedKey(id, rinfo) {
+        return `${utils.peerKey(rinfo)},${id}`;
+    }
+
+    /**
+     * @private
+     * @param {Object} message - queued
+     */
+    _dequeue(message) {
+        this._dataQueues.splice(this._dataQueues.indexOf(message), 1);
+        this._queuedMessages.delete(this._queuedKey(message.id, message.rinfo));
+        this._peers.get(message.rinfo).queued -= 1;
+    }
+
+    /**
+     * whether a message can be sent to the peer now
+     * @private
+     * @param {Object} peer
+     * @param {number} size
+     * @return {boolean}
+     */
+    _hasCapacity(peer, size) {
+        const { bytes, messages, peerBytes, peerMessages } = this._inFlightLimits;
+        // a message larger than the limit is sent alone
+        const fits = (inFlight, maxBytes, maxMessages) => inFlight.messages === 0 ||
+            (inFlight.messages < maxMessages && inFlight.bytes + size <= maxBytes);
+        return fits(this._inFlight, bytes, messages) && fits(peer.inFlight, peerBytes, peerMessages);
+    }
+
+    /**
+     * @private
+     * @param {Object} message
+     */
+    _startMessage({ buffer, id, rinfo, onDrain, flags, channel, hooks, deadlineTimer }) {
+        this._sendPshPacket(buffer, id, rinfo, onDrain, flags, channel);
+        if (deadlineTimer) {
+            // cleared when the session is destroyed
+            this._sendingSession.get(id, rinfo)._deadlineTimer = deadlineTimer;
+        }
+        if (hooks) {
+            hooks.onStart(id);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _scheduleFlush() {
+        if (this._flushScheduled) return;
+        this._flushScheduled = true;
+        process.nextTick(() => {
+            this._flushScheduled = false;
+            this._flushQueue();
+        });
+    }
+
+    /**
+     * send the queued messages that fit in the limits now, in order of each
+     * peer
+     * @private
+     */
+    _flushQueue() {
+        if (this.closed) return;
+        const blocked = new Set();
+        this._dataQueues = this._dataQueues.filter(message => {
+            const peer = this._peers.get(message.rinfo);
+            if (blocked.has(peer) || !this._hasCapacity(peer, message.buffer.length)) {
+                blocked.add(peer);
+                return true;
+            }
+            peer.queued -= 1;
+            this._queuedMessages.delete(this._queuedKey(message.id, message.rinfo));
+            this._startMessage(message);
+            return false;
+        });
+        if (this._dataQueues.length === 0 && this._needWritable) {
+            this._needWritable = false;
+            this.emit("writable");
+        }
+    }
+
+    /**
+     * stop sending a message, the peer drops what it has received of it and
+     * emits an `aborted` event
+     * @public
+     * @param {number} id - returned by `send`
+     * @param {Address} [rinfo=this._remoteAddress]
+     * @return {boolean} - false if the message is not in flight
+     */
+    cancel(id, rinfo = this._remoteAddress) {
+        if (!rinfo) {
+            throw new Error("remote address must be specify!");
+        }
+        const message = this._queuedMessages.get(this._queuedKey(id, rinfo));
+        if (message) {
+            // nothing was sent yet
+            const { hooks, channel, deadlineTimer } = message;
+            this._dequeue(message);
+            clearTimeout(deadlineTimer);
+            if (hooks) {
+                hooks.onError(new errors.AbortError(id, rinfo));
+            }
+            this._scheduleFlush();
+            // the id was taken, the peer does not wait for it in order
+            this._notifyReset(id, rinfo, channel);
+            return true;
+        }
+        const packetsGenerator = this._sendingSession.get(id, rinfo);
+        if (!packetsGenerator) {
+            return false;
+        }
+        this._settle(packetsGenerator, new errors.AbortError(id, rinfo));
+        this._sendingSession.delete(id, rinfo);
+        this._notifyReset(id, rinfo, packetsGenerator._channelSequence);
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {Buffer} buffer
+     * @param {Address} rinfo
+     * @param {Function} [onDrain]
+     * @param {number} [flags=0]
+     * @param {string} [channelName="default"]
+     * @param {?Object} [hooks] - `onStart` is called with the id when it is
+     *        sent, and `onError` with the error if it fails in the queue
+     * @param {number} [deadline] - in ms, including the time queued
+     * @return {?number}
+     */
+    _sendMessage(buffer, rinfo, onDrain, flags = 0, channelName = DEFAULT_CHANNEL, hooks = null, deadline) {
+        if (!rinfo) {
+            throw new Error("remote address must be specify!");
         }
         if (this.closed) {
             throw new Error("socket was closed!");
@@ -926,17 +3573,305 @@ class ReUDP extends EventEmitter {
         if (!Buffer.isBuffer(buffer)) {
             throw new TypeError("argument 0 must be a Buffer");
         }
+        const channelId = this._channels.findIndex(channel => channel.name === channelName);
+        if (channelId === -1) {
+            throw new TypeError(`unknown channel: ${channelName}`);
+        }
         if (buffer.length === 0) {
             return null;
         }
-        if (buffer.length > MAX_BUFFER_SIZE) {
-            throw new RangeError(`buffer must be bwtween 0 and ${MAX_BUFFER_SIZE}`);
+        const peer = this._peers.get(rinfo);
+        this._peers.touch(peer);
+        // the messages to a peer are not compressed until the handshake
+        if (this._compressor && peer.capabilities & COMPRESSION_CAPS[this._compressor.algorithm] &&
+                buffer.length <= MAX_MESSAGE_SIZE) {
+            const compressed = this._compressor.compress(buffer);
+            if (compressed) {
+                buffer = compressed;
+                flags |= COMPRESSION_FLAGS[this._compressor.algorithm];
+            }
+        }
+        const maxBufferSize = this._maxBufferSizeOf(rinfo);
+        if (buffer.length > maxBufferSize) {
+            throw new RangeError(`buffer must be bwtween 0 and ${maxBufferSize}`);
+        }
+        if (this._handshakeEnabled) {
+            this._handshake(peer);
+        }
+        if (peer.pmtu) {
+            this._probePmtu(peer);
         }
         const id = this._sendingSession.getIdBy(rinfo);
-        this._sendPshPacket(buffer, id, rinfo, onDrain);
+        let channel = null;
+        if (this._channelsEnabled) {
+            // every channel has its own sequences
+            const sequence = peer.sequences[channelId] || 0;
+            peer.sequences[channelId] = (sequence + 1) % MAX_COUNTER;
+            channel = { id: channelId, sequence };
+            flags |= FLAG_CHANNEL;
+        }
+        const message = { buffer, id, rinfo, onDrain, flags, channel, hooks, queuedTime: Date.now() };
+        if (deadline !== undefined) {
+            message.deadlineTimer = setTimeout(() => this._expireDeadline(message), deadline);
+        }
+        if (peer.queued > 0 || !this._hasCapacity(peer, buffer.length)) {
+            // sent when the messages in flight finish
+            peer.queued += 1;
+            this._dataQueues.push(message);
+            this._queuedMessages.set(this._queuedKey(id, rinfo), message);
+            this._needWritable = true;
+            return id;
+        }
+        this._startMessage(message);
         return id;
     }
 
+    /**
+     * @private
+     * @param {Generator} packetsGenerator
+     * @param {?Error} err
+     */
+    _settle(packetsGenerator, err) {
+        const settler = this._settlers.get(packetsGenerator);
+        if (!settler) return;
+        this._settlers.delete(packetsGenerator);
+        if (err) {
+            settler.reject(err);
+        } else {
+            settler.resolve(packetsGenerator._id);
+        }
+    }
+
+    /**
+     * like `send`, but returns a promise that resolved with the id when the
+     * peer has received all packets, or rejected with a TimeoutError,
+     * ClosedError, PeerError or AbortError.
+     * @public
+     * @param {Buffer} buffer
+     * @param {Address} [rinfo=this._remoteAddress]
+     * @param {Object} [options={}]
+     * @property {AbortSignal} [options.signal]
+     * @property {string} [options.channel="default"]
+     * @property {number} [options.deadline] - fails with a TimeoutError if
+     *           the peer has not received all packets in this time in ms
+     * @return {Promise<?number>}
+     */
+    sendAsync(buffer, rinfo, options = {}) {
+        if (rinfo && rinfo.port === undefined) {
+            options = rinfo;
+            rinfo = undefined;
+        }
+        return this._sendAsync(buffer, rinfo || this._remoteAddress, options, 0);
+    }
+
+    /**
+     * @private
+     * @param {Buffer} buffer
+     * @param {Address} rinfo
+     * @param {Object} [options={}]
+     * @property {AbortSignal} [options.signal]
+     * @property {string} [options.channel]
+     * @property {number} [options.deadline]
+     * @param {number} [flags=0]
+     * @return {Promise<?number>}
+     */
+    _sendAsync(buffer, rinfo, { signal, channel, deadline } = {}, flags = 0) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                throw new errors.AbortError(undefined, rinfo);
+            }
+            let onAbort;
+            const cleanup = () => {
+                if (onAbort) {
+                    signal.removeEventListener("abort", onAbort);
+                }
+            };
+            const onStart = id => {
+                const packetsGenerator = this._sendingSession.get(id, rinfo);
+                this._settlers.set(packetsGenerator, {
+                    resolve(val) {
+                        cleanup();
+                        resolve(val);
+                    },
+                    reject(err) {
+                        cleanup();
+                        reject(err);
+                    },
+                });
+            };
+            const onError = err => {
+                cleanup();
+                reject(err);
+            };
+            const id = this._sendMessage(buffer, rinfo, undefined, flags, channel, { onStart, onError }, deadline);
+            if (id === null) {
+                resolve(null);
+                return;
+            }
+            if (signal) {
+                onAbort = () => this.cancel(id, rinfo);
+                signal.addEventListener("abort", onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {number} streamId
+     * @param {number} marker - STREAM_MORE, STREAM_END or STREAM_ABORT
+     * @param {Buffer} data
+     * @param {Address} rinfo
+     * @param {Object} [options={}]
+     * @property {AbortSignal} [options.signal]
+     * @property {string} [options.channel]
+     * @property {number} [options.deadline]
+     * @return {Promise<?number>}
+     */
+    _sendStreamChunk(streamId, marker, data, rinfo, options = {}) {
+        const len = STREAM_HEADER_SIZE + data.length;
+        const header = Buffer.alloc(STREAM_HEADER_SIZE);
+        header.writeUInt32BE(streamId, 0);
+        header.writeUInt8(marker, 4);
+        return this._sendAsync(Buffer.concat([header, data], len), rinfo, options, FLAG_STREAM);
+    }
+
+    /**
+     * send the data of a readable stream as a sequence of chunks, the next
+     * chunk is not read until the previous one was received by the peer, so
+     * only one chunk is held in memory. the peer emits a `stream` event
+     * with a readable stream that pushes the chunks in order.
+     * @public
+     * @param {Readable} readable
+     * @param {Address} [rinfo=this._remoteAddress]
+     * @param {Object} [options={}]
+     * @property {number} [options.chunkSize=1MiB]
+     * @property {AbortSignal} [options.signal]
+     * @property {string} [options.channel="default"]
+     * @return {Promise<number>} - the stream id
+     */
+    sendStream(readable, rinfo, options = {}) {
+        if (rinfo && rinfo.port === undefined) {
+            options = rinfo;
+            rinfo = undefined;
+        }
+        rinfo = rinfo || this._remoteAddress;
+        if (!rinfo) {
+            return Promise.reject(new Error("remote address must be specify!"));
+        }
+        const { signal, channel } = options;
+        const chunkSize = Math.min(
+            options.chunkSize || STREAM_CHUNK_SIZE,
+            this._maxBufferSizeOf(rinfo) - STREAM_HEADER_SIZE
+        );
+        const streamId = this._streamId;
+        this._streamId = (this._streamId + 1) % MAX_COUNTER;
+
+        const pump = async () => {
+            let buffers = [];
+            let length = 0;
+            for await (const chunk of readable) {
+                // the length of a string chunk is not its bytes
+                const buf = Buffer.from(chunk);
+                buffers.push(buf);
+                length += buf.length;
+                while (length >= chunkSize) {
+                    const buffer = Buffer.concat(buffers, length);
+                    await this._sendStreamChunk(streamId, STREAM_MORE, buffer.slice(0, chunkSize), rinfo, { signal, channel });
+                    buffers = [buffer.slice(chunkSize)];
+                    length -= chunkSize;
+                }
+            }
+            await this._sendStreamChunk(streamId, STREAM_END, Buffer.concat(buffers, length), rinfo, { signal, channel });
+            return streamId;
+        };
+        return pump().catch(err => {
+            if (!this.closed) {
+                // tell the peer to destroy its stream, ignore the result
+                this._sendStreamChunk(streamId, STREAM_ABORT, Buffer.alloc(0), rinfo, { channel })
+                    .catch(Function());
+            }
+            if (typeof readable.destroy === "function") {
+                readable.destroy();
+            }
+            throw err;
+        });
+    }
+
+    /**
+     * @private
+     * @param {Buffer} buffer
+     * @param {Address} rinfo
+     * @param {Buffer} [identity] - the public key of the peer
+     * @param {string} [channel]
+     */
+    _receiveStreamChunk(buffer, rinfo, identity, channel) {
+        if (buffer.length < STREAM_HEADER_SIZE) return;
+        const streamId = buffer.readUInt32BE(0);
+        const marker = buffer.readUInt8(4);
+        const data = buffer.slice(STREAM_HEADER_SIZE);
+        const key = [utils.peerKey(rinfo), streamId].join(",");
+        let readable = this._receivingStreams.get(key);
+        if (!readable) {
+            if (marker === STREAM_ABORT) return;
+            readable = new Readable({ read: Function() });
+            this._receivingStreams.set(key, readable);
+            this.emit("stream", readable, rinfo, streamId, identity, channel);
+        }
+        switch (marker) {
+            case STREAM_MORE:
+                readable.push(data);
+                break;
+            case STREAM_END:
+                this._receivingStreams.delete(key);
+                if (data.length) {
+                    readable.push(data);
+                }
+                readable.push(null);
+                break;
+            case STREAM_ABORT:
+                this._receivingStreams.delete(key);
+                readable.destroy(new Error("stream was aborted by peer"));
+                break;
+        }
+    }
+
+    /**
+     * send a datagram that is never retransmitted nor acknowledged, it may be
+     * lost, duplicated or reordered
+     * @public
+     * @param {Buffer} buffer - must fit in a single datagram
+     * @param {Address} [rinfo=this._remoteAddress]
+     * @return {boolean} - false if it was dropped before the session keys
+     *         of the peer were exchanged
+     */
+    sendUnreliable(buffer, rinfo = this._remoteAddress) {
+        if (!rinfo) {
+            throw new Error("remote address must be specify!");
+        }
+        if (this.closed) {
+            throw new Error("socket was closed!");
+        }
+        if (!Buffer.isBuffer(buffer)) {
+            throw new TypeError("argument 0 must be a Buffer");
+        }
+        const maxBufferSize = this._datagramSizeOf(rinfo) - HEADER_SIZE;
+        if (buffer.length > maxBufferSize) {
+            throw new RangeError(`buffer must be bwtween 0 and ${maxBufferSize}`);
+        }
+        const peer = this._peers.get(rinfo);
+        this._peers.touch(peer);
+        if (this._identity && !peer.cipher) {
+            // never sends without the session keys
+            this._handshake(peer);
+            return false;
+        }
+        const id = this._datagramId;
+        this._datagramId = (this._datagramId + 1) % MAX_COUNTER;
+        const header = this._packHeader(UDP_DGM, id);
+        this._send(Buffer.concat([header, buffer], header.length + buffer.length), rinfo);
+        return true;
+    }
+
     /**
      * @public
      */
@@ -947,23 +3882,102 @@ class ReUDP extends EventEmitter {
 
         clearInterval(this._fnqId);
         delete this._fnqId;
+        if (this._keepaliveId) {
+            clearInterval(this._keepaliveId);
+            delete this._keepaliveId;
+        }
+        if (this._pruneId) {
+            clearInterval(this._pruneId);
+            delete this._pruneId;
+        }
 
         this.removeListener(this._events[UDP_PSH], this._handlePshPacket);
         this.removeListener(this._events[UDP_REQ], this._handleReqPacket);
         this.removeListener(this._events[UDP_FIN], this._handleFinPacket);
         this.removeListener(this._events[UDP_ACK], this._handleAckPacket);
         this.removeListener(this._events[UDP_ERR], this._handleErrPacket);
-
+        this.removeListener(this._events[UDP_PRB], this._handlePrbPacket);
+        this.removeListener(this._events[UDP_SYN], this._handleSynPacket);
+        this.removeListener(this._events[UDP_KAL], this._handleKalPacket);
+        this.removeListener(this._events[UDP_FEC], this._handleFecPacket);
+        this.removeListener(this._events[UDP_DGM], this._handleDgmPacket);
+        this.removeListener(this._events[UDP_RST], this._handleRstPacket);
+
+        for (const [, packetsGenerator] of this._sendingSession) {
+            this._settle(packetsGenerator, new errors.ClosedError(packetsGenerator._id, packetsGenerator._rinfo));
+        }
+        for (const { id, rinfo, hooks, deadlineTimer } of this._dataQueues) {
+            clearTimeout(deadlineTimer);
+            if (hooks) {
+                hooks.onError(new errors.ClosedError(id, rinfo));
+            }
+        }
+        this._dataQueues = [];
+        this._queuedMessages.clear();
         this._sendingSession.clear();
         this._receivingSession.clear();
         this._sendingSession.stopClear();
         this._receivingSession.stopClear();
         this._finishNotifyQueue.clear();
+        this._resetNotifyQueue.clear();
+        for (const peer of this._peers) {
+            this._stopProbing(peer);
+            this._stopOrdering(peer);
+            clearTimeout(peer.handshakeTimer);
+        }
+        this._peers.clear();
+        for (const readable of this._receivingStreams.values()) {
+            readable.destroy(new Error("socket was closed!"));
+        }
+        this._receivingStreams.clear();
 
         this._socket.removeListener("message", this._receive);
         this._socket.close();
         delete this._socket;
+
+        this.emit("close");
+    }
+
+    /**
+     * create a ReUDP that emits a `connection` event with a duplex stream
+     * for every new peer
+     * @public
+     * @param {Object} [options={}] - options of the constructor
+     * @param {Function} [connectionListener]
+     * @return {ReUDP}
+     */
+    static createServer(options = {}, connectionListener) {
+        if (typeof options === "function") {
+            connectionListener = options;
+            options = {};
+        }
+        const server = new ReUDP(options);
+        if (typeof connectionListener === "function") {
+            server.on("connection", connectionListener);
+        }
+        connection.listen(server, conn => server.emit("connection", conn));
+        return server;
+    }
+
+    /**
+     * create a duplex stream to the remote server, it emits `connect` when
+     * the server accepted it
+     * @public
+     * @param {number} port
+     * @param {string} [host="127.0.0.1"]
+     * @param {Object} [options={}] - options of the constructor
+     * @property {boolean} [options.allowHalfOpen=false]
+     * @return {Connection}
+     */
+    static connect(port, host = "127.0.0.1", options = {}) {
+        if (typeof host === "object") {
+            options = host;
+            host = "127.0.0.1";
+        }
+        const reudp = new ReUDP(options);
+        return connection.connect(reudp, port, host, options);
     }
 }
 
 module.exports = ReUDP;
+module.exports.errors = errors;
@@ -0,0 +1,46 @@
+"use strict";
+
+// the helpers of the tests over the loopback, not a test itself
+
+const ReUDP = require("../../index.js");
+
+/**
+ * @param {Object} [options={}]
+ * @return {Promise<ReUDP>} - bound to a random port of the loopback
+ */
+function bound(options = {}) {
+    const reudp = new ReUDP(options);
+    return new Promise(resolve => reudp.bind(0, "127.0.0.1", () => resolve(reudp)));
+}
+
+/**
+ * @param {ReUDP} reudp
+ * @return {Address}
+ */
+function addressOf(reudp) {
+    const { port, address, family } = reudp._socket.address();
+    return { port, address, family };
+}
+
+/**
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @return {Promise<Array>} - the arguments of the event
+ */
+function once(emitter, event) {
+    return new Promise(resolve => emitter.once(event, (...args) => resolve(args)));
+}
+
+/**
+ * @param {number} ms
+ * @return {Promise}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+exports.ReUDP = ReUDP;
+exports.bound = bound;
+exports.addressOf = addressOf;
+exports.once = once;
+exports.delay = delay;
@@ -0,0 +1,117 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const admission = require("../admission.js");
+
+describe("test admission", function () {
+    describe("parseAddress()", function () {
+        it("parses IPv4 and IPv6", function () {
+            expect([...admission.parseAddress("10.1.2.3")]).to.be.deep.equal([10, 1, 2, 3]);
+            expect(admission.parseAddress("fe80::1%eth0").toString("hex")).to.be.equal("fe800000000000000000000000000001");
+            expect(admission.parseAddress("::").toString("hex")).to.be.equal("0".repeat(32));
+        });
+        it("converts the IPv4-mapped addresses to IPv4", function () {
+            expect([...admission.parseAddress("::ffff:192.168.0.1")]).to.be.deep.equal([192, 168, 0, 1]);
+        });
+        it("returns null for the invalid addresses", function () {
+            expect(admission.parseAddress("localhost")).to.be.null;
+            expect(admission.parseAddress(undefined)).to.be.null;
+        });
+    });
+    describe("parseCidr()", function () {
+        it("clears the bits out of the prefix", function () {
+            const range = admission.parseCidr("192.168.7.9/20");
+            expect([...range.bytes]).to.be.deep.equal([192, 168, 0, 0]);
+            expect(range.prefix).to.be.equal(20);
+        });
+        it("uses the full prefix for an address alone", function () {
+            expect(admission.parseCidr("2001:db8::1").prefix).to.be.equal(128);
+        });
+        it("throws on the invalid ranges", function () {
+            expect(() => admission.parseCidr("10.0.0.0/33")).to.throw(TypeError);
+            expect(() => admission.parseCidr("10.0.0.0/")).to.throw(TypeError);
+            expect(() => admission.parseCidr("10.0.0/8")).to.throw(TypeError);
+        });
+    });
+    describe("AddressList", function () {
+        it("matches the addresses in the ranges", function () {
+            const list = new admission.AddressList(["10.0.0.0/8", "2001:db8::/32"]);
+            expect(list.has(admission.parseAddress("10.200.1.1"))).to.be.true;
+            expect(list.has(admission.parseAddress("11.0.0.1"))).to.be.false;
+            expect(list.has(admission.parseAddress("2001:db8:1::5"))).to.be.true;
+            expect(list.has(admission.parseAddress("2001:db9::5"))).to.be.false;
+        });
+        it("deletes a range by any address in it", function () {
+            const list = new admission.AddressList(["10.0.0.0/8"]);
+            expect(list.delete("10.1.1.1/8")).to.be.true;
+            expect(list.size).to.be.equal(0);
+        });
+    });
+    describe("RateLimiter", function () {
+        it("refills the buckets by the rate", function () {
+            const limiter = new admission.RateLimiter({ rate: 10, burst: 2 });
+            expect(limiter.take("a", 0)).to.be.true;
+            expect(limiter.take("a", 0)).to.be.true;
+            expect(limiter.take("a", 0)).to.be.false;
+            expect(limiter.take("b", 0)).to.be.true;
+            expect(limiter.take("a", 100)).to.be.true;
+            expect(limiter.take("a", 100)).to.be.false;
+        });
+        it("throws on the invalid rate", function () {
+            expect(() => new admission.RateLimiter({ rate: 0 })).to.throw(RangeError);
+        });
+    });
+    describe("Admission", function () {
+        it("admits all without options", function () {
+            const adm = new admission.Admission();
+            expect(adm.admit("1.2.3.4", true, 1000)).to.be.true;
+        });
+        it("rejects the blocked and unlisted addresses", function () {
+            const adm = new admission.Admission({
+                allow: ["10.0.0.0/8"],
+                block: ["10.0.0.1"],
+            });
+            expect(adm.admit("10.0.0.2")).to.be.true;
+            expect(adm.admit("10.0.0.1")).to.be.false;
+            expect(adm.admit("192.168.0.1")).to.be.false;
+            expect(adm.rejected.blocked).to.be.equal(1);
+            expect(adm.rejected.unlisted).to.be.equal(1);
+        });
+        it("changes the lists at runtime", function () {
+            const adm = new admission.Admission();
+            adm.block("1.2.3.0/24");
+            expect(adm.admit("1.2.3.4")).to.be.false;
+            adm.unblock("1.2.3.0/24");
+            expect(adm.admit("1.2.3.4")).to.be.true;
+            adm.allow("5.6.7.8");
+            expect(adm.admit("1.2.3.4")).to.be.false;
+            // the allowlist rejects all when it is emptied
+            adm.disallow("5.6.7.8");
+            expect(adm.admit("5.6.7.8")).to.be.false;
+        });
+        it("rejects the new peers over maxPeers", function () {
+            const adm = new admission.Admission({ maxPeers: 2 });
+            expect(adm.admit("1.2.3.4", true, 1)).to.be.true;
+            expect(adm.admit("1.2.3.4", true, 2)).to.be.false;
+            expect(adm.admit("1.2.3.4", false, 2)).to.be.true;
+            expect(adm.rejected.peers).to.be.equal(1);
+        });
+        it("limits the rate of addresses and subnets", function () {
+            const adm = new admission.Admission({
+                rate: { rate: 1, burst: 2 },
+                subnetRate: { rate: 1, burst: 3 },
+            });
+            expect(adm.admit("1.2.3.4", false, 0, 0)).to.be.true;
+            expect(adm.admit("1.2.3.4", false, 0, 0)).to.be.true;
+            expect(adm.admit("1.2.3.4", false, 0, 0)).to.be.false;
+            expect(adm.admit("1.2.3.5", false, 0, 0)).to.be.true;
+            expect(adm.admit("1.2.3.6", false, 0, 0)).to.be.false;
+            expect(adm.admit("1.2.4.6", false, 0, 0)).to.be.true;
+            expect(adm.rejected.rate).to.be.equal(1);
+            expect(adm.rejected.subnet).to.be.equal(1);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const crypto = require("crypto");
+const expect = require("chai").expect;
+
+const Cipher = require("../cipher.js");
+
+describe("test Cipher", function () {
+    const key = crypto.randomBytes(32);
+    const buffer = Buffer.concat([Buffer.from([1, 0, 0, 0, 0, 7]), Buffer.from("hello")]);
+
+    ["aes-256-gcm", "chacha20-poly1305"].forEach(algorithm => {
+        it(`returns the same buffer when opens a sealed buffer by ${algorithm}`, function () {
+            const cipher = new Cipher({ key, algorithm }, 6);
+            const sealed = cipher.seal(buffer);
+            expect(sealed.length).to.be.equal(buffer.length + cipher.overhead);
+            expect(sealed.slice(0, 6).equals(buffer.slice(0, 6))).to.be.true;
+            expect(sealed.indexOf("hello")).to.be.equal(-1);
+            expect(new Cipher({ key, algorithm }, 6).open(sealed).equals(buffer)).to.be.true;
+        });
+    });
+    it("never repeats the nonce", function () {
+        const cipher = new Cipher({ key }, 6);
+        const sealed1 = cipher.seal(buffer);
+        const sealed2 = cipher.seal(buffer);
+        expect(sealed1.slice(6, 18).equals(sealed2.slice(6, 18))).to.be.false;
+    });
+    it("renews the prefix of the nonce before the counter repeats", function () {
+        const cipher = new Cipher({ key }, 6);
+        const prefix = cipher.seal(buffer).slice(6, 14);
+        expect(cipher.seal(buffer).slice(6, 14).equals(prefix)).to.be.true;
+        cipher._counter = Math.pow(2, 32) - 1;
+        const last = cipher.seal(buffer);
+        expect(last.readUInt32BE(14)).to.be.equal(Math.pow(2, 32) - 1);
+        const next = cipher.seal(buffer);
+        expect(next.slice(6, 14).equals(prefix)).to.be.false;
+        expect(next.readUInt32BE(14)).to.be.equal(0);
+    });
+    it("opens a datagram only once", function () {
+        const sender = new Cipher({ key }, 6);
+        const receiver = new Cipher({ key }, 6);
+        const sealed1 = sender.seal(buffer);
+        const sealed2 = sender.seal(buffer);
+        expect(receiver.open(sealed2).equals(buffer)).to.be.true;
+        expect(receiver.open(sealed2)).to.be.null;
+        // the reordered one
+        expect(receiver.open(sealed1).equals(buffer)).to.be.true;
+        expect(receiver.open(sealed1)).to.be.null;
+        // of another sender
+        expect(receiver.open(new Cipher({ key }, 6).seal(buffer)).equals(buffer)).to.be.true;
+    });
+    it("does not open the datagrams sealed by itself", function () {
+        const cipher = new Cipher({ key }, 6);
+        const reflected = cipher.seal(buffer);
+        expect(cipher.open(reflected)).to.be.null;
+        // nor by the previous prefix
+        cipher._counter = Math.pow(2, 32) - 1;
+        const previous = cipher.seal(buffer);
+        expect(cipher.open(previous)).to.be.null;
+        expect(new Cipher({ key }, 6).open(previous).equals(buffer)).to.be.true;
+    });
+    it("does not open the datagrams too far behind", function () {
+        const sender = new Cipher({ key }, 6);
+        const receiver = new Cipher({ key }, 6);
+        const old = sender.seal(buffer);
+        sender._counter = 5000;
+        expect(receiver.open(sender.seal(buffer))).to.be.not.null;
+        expect(receiver.open(old)).to.be.null;
+    });
+    it("returns null when the header or the body was modified", function () {
+        const cipher = new Cipher({ key }, 6);
+        const sealed1 = cipher.seal(buffer);
+        sealed1[5] ^= 1;
+        expect(cipher.open(sealed1)).to.be.null;
+        const sealed2 = cipher.seal(buffer);
+        sealed2[20] ^= 1;
+        expect(cipher.open(sealed2)).to.be.null;
+    });
+    it("returns null when the key is different", function () {
+        const sealed = new Cipher({ key }, 6).seal(buffer);
+        expect(new Cipher({ key: crypto.randomBytes(32) }, 6).open(sealed)).to.be.null;
+    });
+    it("opens by the receive key when the directions use different keys", function () {
+        const key2 = crypto.randomBytes(32);
+        const sender = new Cipher({ key, receiveKey: key2 }, 6);
+        const receiver = new Cipher({ key: key2, receiveKey: key }, 6);
+        expect(receiver.open(sender.seal(buffer)).equals(buffer)).to.be.true;
+        expect(sender.open(receiver.seal(buffer)).equals(buffer)).to.be.true;
+        expect(sender.open(sender.seal(buffer))).to.be.null;
+    });
+    it("returns null when the buffer is too short", function () {
+        expect(new Cipher({ key }, 6).open(Buffer.alloc(10))).to.be.null;
+    });
+    it("throws TypeError when the key or the algorithm is invalid", function () {
+        expect(function () {
+            new Cipher({ key: Buffer.alloc(16) }, 6);
+        }).to.be.throw(TypeError);
+        expect(function () {
+            new Cipher({ key, algorithm: "aes-128-cbc" }, 6);
+        }).to.be.throw(TypeError);
+    });
+});
@@ -0,0 +1,46 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const crypto = require("crypto");
+const expect = require("chai").expect;
+
+const compression = require("../compression.js");
+
+describe("test compression", function () {
+    const text = Buffer.from("hello world, ".repeat(200));
+
+    compression.ALGORITHMS.forEach(algorithm => {
+        it(`decompresses the compressed buffer by ${algorithm}`, function () {
+            const compressed = new compression.Compressor({ algorithm }).compress(text);
+            expect(compressed.length).to.be.below(text.length);
+            expect(compression.decompress(compressed, algorithm).equals(text)).to.be.true;
+        });
+    });
+    it("does not compress the buffer smaller than the threshold", function () {
+        const compressor = new compression.Compressor({ threshold: text.length + 1 });
+        expect(compressor.compress(text)).to.be.null;
+    });
+    it("does not compress the buffer that would not be smaller", function () {
+        expect(new compression.Compressor().compress(crypto.randomBytes(4096))).to.be.null;
+    });
+    compression.ALGORITHMS.forEach(algorithm => {
+        it(`throws RangeError when the ${algorithm} decompressed buffer is larger than the max size`, function () {
+            const compressed = new compression.Compressor({ algorithm }).compress(Buffer.alloc(100000));
+            expect(compression.decompress(compressed, algorithm, 100000).length).to.be.equal(100000);
+            expect(function () {
+                compression.decompress(compressed, algorithm, 99999);
+            }).to.be.throw(RangeError);
+        });
+    });
+    it("throws when decompresses a corrupted buffer", function () {
+        expect(function () {
+            compression.decompress(Buffer.from([0xff, 0xff, 0xff]), "deflate");
+        }).to.be.throw(Error);
+    });
+    it("throws TypeError when the algorithm is invalid", function () {
+        expect(function () {
+            new compression.Compressor({ algorithm: "gzip" });
+        }).to.be.throw(TypeError);
+    });
+});
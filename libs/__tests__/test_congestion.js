@@ -0,0 +1,84 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const congestion = require("../congestion.js");
+
+describe("test NewReno congestion controller", function () {
+    it("grows the window exponentially in slow start", function () {
+        const cc = new congestion.NewReno({ initialWindow: 10 });
+        cc.onAck(10);
+        expect(cc.window).to.be.equal(20);
+        expect(cc.quota(5)).to.be.equal(15);
+    });
+    it("halves the window at most once per round trip", function () {
+        const cc = new congestion.NewReno({ initialWindow: 40 });
+        cc.onLoss(1, 1000);
+        expect(cc.window).to.be.equal(20);
+        cc.onLoss(1, 1000);
+        expect(cc.window).to.be.equal(20);
+    });
+    it("grows the window linearly after a loss", function () {
+        const cc = new congestion.NewReno({ initialWindow: 40 });
+        cc.onLoss(1, 1000);
+        cc.onAck(20);
+        expect(cc.window).to.be.equal(21);
+    });
+    it("keeps the window between min and max", function () {
+        const cc = new congestion.NewReno({ initialWindow: 4, minWindow: 2, maxWindow: 8 });
+        cc.onAck(100);
+        expect(cc.window).to.be.equal(8);
+        cc.onLoss(1, 0);
+        cc.onLoss(1, 0);
+        cc.onLoss(1, 0);
+        expect(cc.window).to.be.equal(2);
+    });
+});
+
+describe("test BBR congestion controller", function () {
+    const now = Date.now;
+    let time;
+    beforeEach(function () {
+        time = 1000;
+        Date.now = () => time;
+    });
+    afterEach(function () {
+        Date.now = now;
+    });
+    it("keeps the initial window until a bandwidth sample", function () {
+        const cc = new congestion.BBR({ initialWindow: 16 });
+        cc.onAck(4, 10);
+        expect(cc.window).to.be.equal(16);
+    });
+    it("sets the window by the bandwidth-delay product", function () {
+        const cc = new congestion.BBR({ initialWindow: 16 });
+        time += 20;
+        cc.onAck(40, 20);
+        expect(cc.bandwidth).to.be.equal(2);
+        expect(cc.minRtt).to.be.equal(20);
+        expect(cc.window).to.be.equal(Math.ceil(2.89 * 2 * 20));
+    });
+    it("ignores loss", function () {
+        const cc = new congestion.BBR({ initialWindow: 16 });
+        cc.onLoss(10, 20);
+        expect(cc.window).to.be.equal(16);
+    });
+});
+
+describe("test create function", function () {
+    it("returns a controller by the name", function () {
+        expect(congestion.create("newreno")).to.be.instanceof(congestion.NewReno);
+        expect(congestion.create("BBR")).to.be.instanceof(congestion.BBR);
+    });
+    it("returns the controller of the factory function", function () {
+        const cc = new congestion.NewReno();
+        expect(congestion.create(() => cc, { port: 1 })).to.be.equal(cc);
+    });
+    it("throws TypeError when the name is unknown", function () {
+        expect(function () {
+            congestion.create("cubic");
+        }).to.be.throw(TypeError);
+    });
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const { ReUDP, addressOf, once, delay } = require("./loopback.js");
+const errors = ReUDP.errors;
+
+describe("test Connection", function () {
+    this.timeout(20000);
+    let server;
+    let port;
+    beforeEach(function (done) {
+        server = ReUDP.createServer();
+        server.bind(0, "127.0.0.1", () => {
+            port = addressOf(server).port;
+            done();
+        });
+    });
+    afterEach(function () {
+        server.close();
+    });
+
+    it("exchanges the data in both directions and ends", function () {
+        server.on("connection", conn => {
+            conn.on("data", chunk => conn.write(chunk));
+            conn.on("end", () => conn.end());
+        });
+        const client = ReUDP.connect(port, "127.0.0.1");
+        const chunks = [];
+        client.on("data", chunk => chunks.push(chunk));
+        return once(client, "connect").then(() => {
+            client.write("hello ");
+            client.end("world");
+            return once(client, "close");
+        }).then(() => {
+            expect(Buffer.concat(chunks).toString()).to.be.equal("hello world");
+        });
+    });
+    it("does not send more than the window before the peer reads", function () {
+        const size = 6 * 1024 * 1024;
+        let received = 0;
+        let serverConn;
+        server.on("message", buffer => {
+            received += buffer.length - 1;
+        });
+        server.on("connection", conn => {
+            serverConn = conn;
+        });
+        const client = ReUDP.connect(port, "127.0.0.1");
+        client.end(Buffer.alloc(size, 1));
+        return delay(3000).then(() => {
+            // nothing is read by the server
+            expect(received).to.be.at.most(4 * 1024 * 1024);
+            let read = 0;
+            serverConn.on("data", chunk => {
+                read += chunk.length;
+            });
+            return once(serverConn, "end").then(() => {
+                expect(read).to.be.equal(size);
+                client.destroy();
+            });
+        });
+    });
+    it("tells the peer when it is destroyed", function () {
+        const connected = once(server, "connection");
+        const client = ReUDP.connect(port, "127.0.0.1");
+        return Promise.all([connected, once(client, "connect")]).then(([[conn]]) => {
+            const closed = once(conn, "error");
+            client.destroy();
+            return closed;
+        }).then(([err]) => {
+            expect(err).to.be.instanceof(errors.PeerResetError);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const debug = require("../debug.js");
+
+describe("test debug handler", function () {
+    const calls = [];
+    const reudp = {
+        getStats: () => ({ peers: 1 }),
+        getSessions: () => ({ sending: [], receiving: [], queued: [] }),
+        getPeerStats: rinfo => (rinfo.port === 1 ? { packetsSent: 2 } : null),
+        expireSession: (type, id, rinfo) => {
+            calls.push(["expire", type, id, rinfo]);
+            return id === 7;
+        },
+        retrySession: () => false,
+    };
+    const headers = { host: "127.0.0.1:8080", "x-reudp-debug": "1" };
+    const requestBy = handler => (method, url, requestHeaders = headers) => {
+        const res = {
+            writeHead(statusCode) {
+                res.statusCode = statusCode;
+            },
+            end(json) {
+                res.body = JSON.parse(json);
+            },
+        };
+        handler({ method, url, headers: requestHeaders }, res);
+        return res;
+    };
+    const request = requestBy(debug.createHandler(reudp));
+
+    it("returns the stats and the sessions", function () {
+        expect(request("GET", "/stats").body).to.be.deep.equal({ peers: 1 });
+        expect(request("GET", "/sessions").body.sending).to.be.deep.equal([]);
+        expect(request("GET", "/peers/stats?port=1").body).to.be.deep.equal({ packetsSent: 2 });
+        expect(request("GET", "/peers/stats?port=2").statusCode).to.be.equal(404);
+        expect(request("GET", "/peers/stats").statusCode).to.be.equal(400);
+    });
+    it("controls the sessions of the peer", function () {
+        const res = request("POST", "/sessions/sending/7/expire?port=9&address=::1");
+        expect(res.statusCode).to.be.equal(200);
+        expect(calls).to.be.deep.equal([
+            ["expire", "sending", 7, { port: 9, address: "::1", family: "IPv6" }],
+        ]);
+        expect(request("POST", "/sessions/receiving/3/retry?port=9").statusCode).to.be.equal(404);
+    });
+    it("rejects the invalid requests", function () {
+        expect(request("POST", "/stats").statusCode).to.be.equal(405);
+        expect(request("GET", "/sessions/sending/7/expire?port=9").statusCode).to.be.equal(405);
+        expect(request("POST", "/sessions/sending/x/expire?port=9").statusCode).to.be.equal(400);
+        expect(request("POST", "/sessions/other/7/expire?port=9").statusCode).to.be.equal(404);
+        expect(request("GET", "/").statusCode).to.be.equal(404);
+    });
+    it("rejects the hosts that are not local", function () {
+        for (const host of ["localhost", "localhost:80", "[::1]:8080", "127.0.0.1"]) {
+            expect(request("GET", "/stats", { host }).statusCode).to.be.equal(200);
+        }
+        for (const host of [undefined, "evil.example:8080", "127.0.0.1.evil.example", "[::1"]) {
+            expect(request("GET", "/stats", { host }).statusCode).to.be.equal(403);
+        }
+    });
+    it("controls the sessions by the requests with the header only", function () {
+        calls.length = 0;
+        const res = request("POST", "/sessions/sending/7/expire?port=9", { host: "localhost" });
+        expect(res.statusCode).to.be.equal(403);
+        expect(calls).to.be.empty;
+    });
+    it("controls the sessions by the requests with the token only", function () {
+        calls.length = 0;
+        const requestWithToken = requestBy(debug.createHandler(reudp, { token: "secret" }));
+        const url = "/sessions/sending/7/expire?port=9";
+        expect(requestWithToken("POST", url).statusCode).to.be.equal(403);
+        expect(requestWithToken("POST", url, { host: "localhost", authorization: "Bearer other" }).statusCode).to.be.equal(403);
+        expect(calls).to.be.empty;
+        expect(requestWithToken("POST", url, { host: "localhost", authorization: "Bearer secret" }).statusCode).to.be.equal(200);
+        expect(calls.length).to.be.equal(1);
+    });
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const fec = require("../fec.js");
+
+describe("test fec", function () {
+    const packets = [
+        Buffer.from([0x01, 0x02, 0x03, 0x04]),
+        Buffer.from([0x10, 0x20, 0x30, 0x40]),
+        Buffer.from([0xff, 0x0f]),
+    ];
+
+    describe("parity()", function () {
+        it("XORs the packets and their lengths", function () {
+            const { length, data } = fec.parity(packets);
+            expect(length).to.be.equal(4 ^ 4 ^ 2);
+            expect([...data]).to.be.deep.equal([0x01 ^ 0x10 ^ 0xff, 0x02 ^ 0x20 ^ 0x0f, 0x03 ^ 0x30, 0x04 ^ 0x40]);
+        });
+    });
+    describe("recover()", function () {
+        it("rebuilds any missing packet of the group", function () {
+            const parity = fec.parity(packets);
+            for (let i = 0; i < packets.length; i++) {
+                const others = packets.filter((packet, j) => j !== i);
+                expect(fec.recover(parity, others).equals(packets[i])).to.be.true;
+            }
+        });
+    });
+    describe("Redundancy", function () {
+        it("groups the packets by the ratio", function () {
+            expect(new fec.Redundancy({ ratio: 0.1 }).groupSize).to.be.equal(10);
+            expect(new fec.Redundancy({ ratio: 1 }).groupSize).to.be.equal(2);
+        });
+        it("follows the loss rate when adaptive", function () {
+            const redundancy = new fec.Redundancy({ ratio: 0.1 });
+            for (let i = 0; i < 50; i++) {
+                redundancy.onAck(80, 20);
+            }
+            expect(redundancy.ratio).to.be.closeTo(0.4, 0.01);
+            for (let i = 0; i < 100; i++) {
+                redundancy.onAck(100, 0);
+            }
+            expect(redundancy.ratio).to.be.equal(0.02);
+        });
+        it("keeps the ratio when not adaptive", function () {
+            const redundancy = new fec.Redundancy({ ratio: 0.1, adaptive: false });
+            redundancy.onAck(50, 50);
+            expect(redundancy.ratio).to.be.equal(0.1);
+        });
+        it("throws RangeError when the ratio is invalid", function () {
+            expect(function () {
+                new fec.Redundancy({ ratio: 0 });
+            }).to.be.throw(RangeError);
+        });
+    });
+});
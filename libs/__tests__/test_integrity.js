@@ -0,0 +1,62 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const crypto = require("crypto");
+const expect = require("chai").expect;
+
+const Integrity = require("../integrity.js");
+
+describe("test Integrity", function () {
+    const key = crypto.randomBytes(32);
+    const buffer = Buffer.from([0x01, 0x02, 0x00, 0x00, 0x00, 0x07, 0x10, 0x20, 0x30, 0x40]);
+
+    it("calculates CRC-32C", function () {
+        expect(Integrity.crc32c(Buffer.from("123456789"))).to.be.equal(0xE3069283);
+        expect(Integrity.crc32c(Buffer.alloc(0))).to.be.equal(0);
+    });
+    [
+        { algorithm: "checksum" },
+        { algorithm: "crc32c" },
+        { algorithm: "hmac-sha256", key },
+    ].forEach(options => {
+        it(`verifies the generated tag by ${options.algorithm}`, function () {
+            const integrity = new Integrity(options);
+            const tagged = integrity.generate(buffer);
+            expect(tagged.length).to.be.equal(buffer.length + integrity.size);
+            expect(tagged.slice(integrity.size).equals(buffer)).to.be.true;
+            expect(integrity.verify(tagged)).to.be.true;
+            tagged[tagged.length - 1] ^= 0x01;
+            expect(integrity.verify(tagged)).to.be.false;
+        });
+    });
+    it("uses the checksum by default", function () {
+        expect(new Integrity().algorithm).to.be.equal("checksum");
+    });
+    it("finds out the reordered words that the checksum misses", function () {
+        const reordered = Buffer.from(buffer);
+        buffer.copy(reordered, 6, 8, 10);
+        buffer.copy(reordered, 8, 6, 8);
+        ["checksum", "crc32c"].forEach(algorithm => {
+            const integrity = new Integrity({ algorithm });
+            const tagged = integrity.generate(buffer);
+            const forged = Buffer.concat([tagged.slice(0, integrity.size), reordered]);
+            expect(integrity.verify(forged)).to.be.equal(algorithm === "checksum");
+        });
+    });
+    it("fails to verify by hmac-sha256 with another key", function () {
+        const tagged = new Integrity({ algorithm: "hmac-sha256", key }).generate(buffer);
+        expect(new Integrity({ algorithm: "hmac-sha256", key: crypto.randomBytes(32) }).verify(tagged)).to.be.false;
+    });
+    it("fails to verify a buffer shorter than the tag", function () {
+        expect(new Integrity({ algorithm: "crc32c" }).verify(Buffer.alloc(2))).to.be.false;
+    });
+    it("throws TypeError when the algorithm or the key is invalid", function () {
+        expect(function () {
+            new Integrity({ algorithm: "md5" });
+        }).to.be.throw(TypeError);
+        expect(function () {
+            new Integrity({ algorithm: "hmac-sha256" });
+        }).to.be.throw(TypeError);
+    });
+});
@@ -0,0 +1,68 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const crypto = require("crypto");
+const expect = require("chai").expect;
+
+const keyexchange = require("../keyexchange.js");
+
+describe("test keyexchange", function () {
+    describe("Identity", function () {
+        it("generates a key pair when no private key", function () {
+            const identity = new keyexchange.Identity();
+            expect(identity.publicKey.length).to.be.equal(keyexchange.PUBLIC_KEY_SIZE);
+            expect(new keyexchange.Identity().publicKey.equals(identity.publicKey)).to.be.false;
+        });
+        it("uses the given private key", function () {
+            const { privateKey } = crypto.generateKeyPairSync("ed25519");
+            const pem = privateKey.export({ type: "pkcs8", format: "pem" });
+            const identity1 = new keyexchange.Identity({ privateKey });
+            const identity2 = new keyexchange.Identity({ privateKey: pem });
+            expect(identity1.publicKey.equals(identity2.publicKey)).to.be.true;
+        });
+        it("throws TypeError when the private key is not ed25519", function () {
+            const { privateKey } = crypto.generateKeyPairSync("x25519");
+            expect(function () {
+                new keyexchange.Identity({ privateKey });
+            }).to.be.throw(TypeError);
+        });
+    });
+    describe("verify()", function () {
+        const identity = new keyexchange.Identity();
+        const data = Buffer.from("hello");
+        it("returns true with the signature of the identity", function () {
+            expect(keyexchange.verify(identity.publicKey, data, identity.sign(data))).to.be.true;
+        });
+        it("returns false when the data or the signer is different", function () {
+            const signature = identity.sign(data);
+            expect(keyexchange.verify(identity.publicKey, Buffer.from("hellO"), signature)).to.be.false;
+            expect(keyexchange.verify(new keyexchange.Identity().publicKey, data, signature)).to.be.false;
+        });
+        it("returns false when the sizes are invalid", function () {
+            expect(keyexchange.verify(Buffer.alloc(10), data, identity.sign(data))).to.be.false;
+            expect(keyexchange.verify(identity.publicKey, data, Buffer.alloc(10))).to.be.false;
+        });
+    });
+    describe("deriveKeys()", function () {
+        it("derives the same keys in reverse on both sides", function () {
+            const ephemeral1 = keyexchange.generateEphemeral();
+            const ephemeral2 = keyexchange.generateEphemeral();
+            const keys1 = keyexchange.deriveKeys(ephemeral1, ephemeral2.publicKey);
+            const keys2 = keyexchange.deriveKeys(ephemeral2, ephemeral1.publicKey);
+            expect(keys1.sendKey.length).to.be.equal(32);
+            expect(keys1.sendKey.equals(keys2.receiveKey)).to.be.true;
+            expect(keys1.receiveKey.equals(keys2.sendKey)).to.be.true;
+            expect(keys1.sendKey.equals(keys1.receiveKey)).to.be.false;
+        });
+        it("derives different keys with different ephemeral keys", function () {
+            const ephemeral1 = keyexchange.generateEphemeral();
+            const keys1 = keyexchange.deriveKeys(ephemeral1, keyexchange.generateEphemeral().publicKey);
+            const keys2 = keyexchange.deriveKeys(ephemeral1, keyexchange.generateEphemeral().publicKey);
+            expect(keys1.sendKey.equals(keys2.sendKey)).to.be.false;
+        });
+        it("returns null when the public key is invalid", function () {
+            expect(keyexchange.deriveKeys(keyexchange.generateEphemeral(), Buffer.alloc(10))).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const Peers = require("../peers.js");
+
+const addressOf = port => ({ port, address: "127.0.0.1", family: "IPv4" });
+
+describe("test Peers", function () {
+    it("creates the peer by get() only", function () {
+        const peers = new Peers({ create: () => ({ n: 1 }) });
+        expect(peers.peek(addressOf(1))).to.be.undefined;
+        expect(peers.size).to.be.equal(0);
+        const peer = peers.get(addressOf(1));
+        expect(peer.n).to.be.equal(1);
+        expect(peer.rinfo).to.be.deep.equal(addressOf(1));
+        expect(peers.peek(addressOf(1))).to.be.equal(peer);
+    });
+    it("evicts the peers idle for the ttl", function () {
+        const evicted = [];
+        const peers = new Peers({
+            ttl: 1000,
+            canEvict: peer => !peer.busy,
+            onEvict: peer => evicted.push(peer.rinfo.port),
+        });
+        peers.get(addressOf(1));
+        peers.get(addressOf(2)).busy = true;
+        peers.get(addressOf(3));
+        const now = Date.now();
+        peers.prune(now);
+        expect(peers.size).to.be.equal(3);
+        peers.touch(peers.peek(addressOf(1)));
+        peers.peek(addressOf(1)).lastActive = now + 1000;
+        peers.prune(now + 1500);
+        expect(evicted).to.be.deep.equal([3]);
+        expect(peers.has(addressOf(1))).to.be.true;
+        expect(peers.has(addressOf(2))).to.be.true;
+    });
+    it("evicts the least recently active idle peer past the max", function () {
+        const evicted = [];
+        const peers = new Peers({
+            max: 2,
+            canEvict: peer => !peer.busy,
+            onEvict: peer => evicted.push(peer.rinfo.port),
+        });
+        peers.get(addressOf(1)).busy = true;
+        peers.get(addressOf(2));
+        peers.touch(peers.peek(addressOf(1)));
+        peers.get(addressOf(3));
+        expect(evicted).to.be.deep.equal([2]);
+        peers.peek(addressOf(3)).busy = true;
+        // none is idle
+        peers.get(addressOf(4));
+        expect(peers.size).to.be.equal(3);
+    });
+    it("tells whether an idle peer was evicted", function () {
+        const peers = new Peers({ canEvict: peer => !peer.busy });
+        peers.get(addressOf(1)).busy = true;
+        peers.get(addressOf(2));
+        expect(peers.evictOldest()).to.be.true;
+        expect(peers.has(addressOf(2))).to.be.false;
+        expect(peers.evictOldest()).to.be.false;
+        expect(peers.size).to.be.equal(1);
+    });
+    it("tells whether any peer is idle", function () {
+        const peers = new Peers({ canEvict: peer => !peer.busy });
+        expect(peers.hasIdle()).to.be.false;
+        peers.get(addressOf(1)).busy = true;
+        expect(peers.hasIdle()).to.be.false;
+        peers.get(addressOf(2));
+        expect(peers.hasIdle()).to.be.true;
+        expect(peers.size).to.be.equal(2);
+    });
+});
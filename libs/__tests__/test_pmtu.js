@@ -0,0 +1,60 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const PmtuDiscovery = require("../pmtu.js");
+
+describe("test PmtuDiscovery", function () {
+    it("probes the initial size first", function () {
+        const pmtu = new PmtuDiscovery({ initial: 1000, min: 500, max: 2000 });
+        expect(pmtu.size).to.be.equal(1000);
+        expect(pmtu.next()).to.be.equal(1000);
+        expect(pmtu.next()).to.be.equal(1000);
+    });
+    it("searches a larger size after an acknowledged probe", function () {
+        const pmtu = new PmtuDiscovery({ initial: 1000, min: 500, max: 2000 });
+        pmtu.onAck(1000);
+        expect(pmtu.size).to.be.equal(1000);
+        expect(pmtu.next()).to.be.equal(1500);
+        pmtu.onAck(1500);
+        expect(pmtu.size).to.be.equal(1500);
+        expect(pmtu.next()).to.be.equal(1750);
+        pmtu.onLoss(1750);
+        expect(pmtu.size).to.be.equal(1500);
+        expect(pmtu.next()).to.be.equal(1625);
+    });
+    it("searches a smaller size after a lost probe", function () {
+        const pmtu = new PmtuDiscovery({ initial: 1000, min: 500, max: 2000 });
+        pmtu.onLoss(1000);
+        expect(pmtu.next()).to.be.equal(750);
+        pmtu.onAck(750);
+        expect(pmtu.size).to.be.equal(750);
+    });
+    it("keeps the initial size when the peer never responds", function () {
+        const pmtu = new PmtuDiscovery({ initial: 1000, min: 500, max: 2000 });
+        let size;
+        while ((size = pmtu.next()) !== null) {
+            pmtu.onLoss(size);
+        }
+        expect(pmtu.done).to.be.true;
+        expect(pmtu.size).to.be.equal(1000);
+    });
+    it("finishes when the range is smaller than the accuracy", function () {
+        const pmtu = new PmtuDiscovery({ initial: 1000, min: 500, max: 1020, accuracy: 32 });
+        pmtu.onAck(1000);
+        expect(pmtu.next()).to.be.null;
+        expect(pmtu.done).to.be.true;
+    });
+    it("searches again from the confirmed size when raised", function () {
+        const pmtu = new PmtuDiscovery({ initial: 1000, min: 500, max: 2000 });
+        pmtu.onAck(1000);
+        pmtu.onLoss(pmtu.next());
+        pmtu.raise();
+        expect(pmtu.next()).to.be.equal(1500);
+        pmtu.reset();
+        expect(pmtu.size).to.be.equal(1000);
+        expect(pmtu.next()).to.be.equal(1000);
+    });
+});
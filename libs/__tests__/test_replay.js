@@ -0,0 +1,69 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const ReplayWindow = require("../replay.js");
+
+describe("test ReplayWindow", function () {
+    it("remembers the finished ids only", function () {
+        const replay = new ReplayWindow({ size: 32 });
+        expect(replay.has(0)).to.be.false;
+        replay.add(1);
+        replay.add(3);
+        expect(replay.has(1)).to.be.true;
+        expect(replay.has(2)).to.be.false;
+        expect(replay.has(3)).to.be.true;
+        replay.add(2);
+        expect(replay.has(2)).to.be.true;
+    });
+    it("slides behind the highest id", function () {
+        const replay = new ReplayWindow({ size: 32 });
+        replay.add(0);
+        replay.add(31);
+        expect(replay.has(0)).to.be.true;
+        replay.add(32);
+        expect(replay.has(0)).to.be.false;
+        expect(replay.isStale(0)).to.be.true;
+        expect(replay.isStale(1)).to.be.false;
+        // the slot of the stale id is reused
+        replay.add(100);
+        expect(replay.has(68)).to.be.false;
+        expect(replay.has(32)).to.be.false;
+        expect(replay.has(100)).to.be.true;
+    });
+    it("forgets the whole window when an id is far ahead", function () {
+        const replay = new ReplayWindow();
+        replay.add(0);
+        replay.add(10000);
+        expect(replay.has(8192)).to.be.false;
+        expect(replay.has(10000)).to.be.true;
+        // in the same slot as 5
+        const small = new ReplayWindow({ size: 32 });
+        small.add(5);
+        small.add(100);
+        expect(small.has(69)).to.be.false;
+    });
+    it("works across the wrap around", function () {
+        const max = Math.pow(2, 32);
+        const replay = new ReplayWindow({ size: 32 });
+        replay.add(max - 2);
+        replay.add(1);
+        expect(replay.highest).to.be.equal(1);
+        expect(replay.has(max - 2)).to.be.true;
+        expect(replay.has(max - 1)).to.be.false;
+        expect(replay.has(0)).to.be.false;
+        expect(replay.isStale(max - 40)).to.be.true;
+    });
+    it("forgets all the ids when reset", function () {
+        const replay = new ReplayWindow({ size: 32 });
+        replay.add(5);
+        replay.reset();
+        expect(replay.has(5)).to.be.false;
+        expect(replay.isStale(1000)).to.be.false;
+    });
+    it("throws on the invalid size", function () {
+        expect(() => new ReplayWindow({ size: 48 })).to.throw(RangeError);
+    });
+});
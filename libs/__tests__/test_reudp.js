@@ -0,0 +1,1196 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const crypto = require("crypto");
+const { Readable } = require("stream");
+
+const { ReUDP, bound, addressOf, once, delay } = require("./loopback.js");
+const errors = ReUDP.errors;
+
+// the first datagram is sent when released
+const holdFirst = reudp => {
+    const socketSend = reudp._socket.send;
+    let held = null;
+    reudp._socket.send = function (...args) {
+        if (held) return socketSend.apply(this, args);
+        held = args;
+        reudp._socket.send = socketSend;
+    };
+    return () => socketSend.apply(reudp._socket, held);
+};
+
+describe("test ReUDP", function () {
+    this.timeout(10000);
+    let sender;
+    let receiver;
+    beforeEach(function () {
+        return Promise.all([bound(), bound()]).then(([a, b]) => {
+            sender = a;
+            receiver = b;
+        });
+    });
+    afterEach(function () {
+        sender.close();
+        receiver.close();
+    });
+
+    describe("sendAsync()", function () {
+        it("resolves with the id when the peer received the message", function () {
+            const received = once(receiver, "message");
+            const buffer = Buffer.alloc(100000, 7);
+            return sender.sendAsync(buffer, addressOf(receiver)).then(id => {
+                expect(id).to.be.a("number");
+                return received;
+            }).then(([message, rinfo]) => {
+                expect(message.equals(buffer)).to.be.true;
+                expect(rinfo.port).to.be.equal(addressOf(sender).port);
+            });
+        });
+        it("rejects with TimeoutError when the session is cleared", function () {
+            const address = addressOf(receiver);
+            const timeouts = [];
+            sender.on("timeout", (id, rinfo, reason) => timeouts.push([id, reason]));
+            const sent = sender.sendAsync(Buffer.alloc(3000000), address);
+            return delay(20).then(() => {
+                // as the auto clear does
+                sender._sendingSession.deletePeer(address);
+                return sent;
+            }).then(() => {
+                throw new Error("not rejected");
+            }, err => {
+                expect(err).to.be.instanceof(errors.TimeoutError);
+                expect(err.reason).to.be.equal("expired");
+                expect(timeouts).to.be.deep.equal([[0, "expired"]]);
+            });
+        });
+        it("rejects with TimeoutError when the peer stops receiving by default", function () {
+            const address = addressOf(receiver);
+            const buffer = Buffer.alloc(200000);
+            let count = 0;
+            const socketSend = sender._socket.send;
+            sender._socket.send = function (...args) {
+                // the peer is gone after a part of the message
+                count += 1;
+                if (count > 20) return;
+                socketSend.apply(this, args);
+            };
+            return sender.sendAsync(buffer, address).then(() => {
+                throw new Error("not rejected");
+            }, err => {
+                expect(err).to.be.instanceof(errors.TimeoutError);
+                expect(err.reason).to.be.equal("stall");
+                expect(err.progress.received).to.be.above(0);
+            });
+        });
+        it("resolves with null for an empty buffer", function () {
+            return sender.sendAsync(Buffer.alloc(0), addressOf(receiver)).then(id => {
+                expect(id).to.be.null;
+            });
+        });
+        it("rejects with AbortError when the signal is aborted", function () {
+            const controller = new AbortController();
+            const promise = sender.sendAsync(Buffer.alloc(3000000), addressOf(receiver), {
+                signal: controller.signal,
+            });
+            controller.abort();
+            return promise.then(() => {
+                throw new Error("not aborted");
+            }, err => {
+                expect(err).to.be.instanceof(errors.AbortError);
+                expect(err.code).to.be.equal("ABORT_ERR");
+            });
+        });
+        it("rejects with AbortError when the signal was aborted already", function () {
+            const controller = new AbortController();
+            controller.abort();
+            return sender.sendAsync(Buffer.alloc(10), addressOf(receiver), {
+                signal: controller.signal,
+            }).then(() => {
+                throw new Error("not aborted");
+            }, err => {
+                expect(err).to.be.instanceof(errors.AbortError);
+            });
+        });
+        it("rejects with ClosedError when the socket is closed", function () {
+            const promise = sender.sendAsync(Buffer.alloc(3000000), addressOf(receiver));
+            sender.close();
+            return promise.then(() => {
+                throw new Error("not closed");
+            }, err => {
+                expect(err).to.be.instanceof(errors.ClosedError);
+                expect(err.code).to.be.equal("ECLOSED");
+            });
+        });
+    });
+
+    describe("send()", function () {
+        it("returns false for the queued messages and emits writable when sent", function () {
+            sender.close();
+            const address = addressOf(receiver);
+            const drains = [];
+            let writables = 0;
+            return bound({ inFlight: { messages: 1 } }).then(reudp => {
+                sender = reudp;
+                sender.on("drain", (id, rinfo) => drains.push([id, rinfo.port]));
+                sender.on("writable", () => {
+                    writables += 1;
+                });
+                const ids = [0, 1, 2].map(i => sender.send(Buffer.alloc(10000, i), address));
+                expect(ids).to.be.deep.equal([0, false, false]);
+                expect(sender.writable).to.be.false;
+                return delay(500);
+            }).then(() => {
+                const { port } = address;
+                expect(drains).to.be.deep.equal([[0, port], [1, port], [2, port]]);
+                expect(writables).to.be.equal(1);
+                expect(sender.writable).to.be.true;
+            });
+        });
+        it("cancels a queued message by the id", function () {
+            sender.close();
+            const address = addressOf(receiver);
+            const messages = [];
+            receiver.on("message", message => messages.push(message.length));
+            return bound({ inFlight: { messages: 1 } }).then(reudp => {
+                sender = reudp;
+                sender.send(Buffer.alloc(10000), address);
+                expect(sender.send(Buffer.alloc(20000), address)).to.be.false;
+                const [{ id }] = sender.getSessions().queued;
+                expect(sender.cancel(id, address)).to.be.true;
+                expect(sender.writable).to.be.true;
+                sender.send(Buffer.alloc(30000), address);
+                return delay(500);
+            }).then(() => {
+                expect(messages).to.be.deep.equal([10000, 30000]);
+            });
+        });
+    });
+
+    describe("deadline", function () {
+        it("fails the message that is still queued", function () {
+            sender.close();
+            const address = addressOf(receiver);
+            const timeouts = [];
+            return bound({ inFlight: { messages: 1 } }).then(reudp => {
+                sender = reudp;
+                sender.on("timeout", (id, rinfo, reason, progress) => timeouts.push([id, reason, progress.sent]));
+                const first = sender.sendAsync(Buffer.alloc(1000000, 1), address);
+                const id = sender.send(Buffer.alloc(100, 2), address, { deadline: 100 });
+                expect(id).to.be.false;
+                expect(sender.writable).to.be.false;
+                return delay(300).then(() => {
+                    expect(timeouts).to.be.deep.equal([[1, "deadline", 0]]);
+                    return first;
+                });
+            }).then(id => {
+                expect(id).to.be.equal(0);
+                expect(timeouts.length).to.be.equal(1);
+            });
+        });
+        it("tells the peer to drop what it has received", function () {
+            const address = addressOf(receiver);
+            const aborted = once(receiver, "aborted");
+            return sender.sendAsync(Buffer.alloc(3000000, 1), address, { deadline: 50 }).then(() => {
+                throw new Error("not expired");
+            }, err => {
+                expect(err).to.be.instanceof(errors.TimeoutError);
+                expect(err.reason).to.be.equal("deadline");
+                return aborted;
+            }).then(([id]) => {
+                expect(id).to.be.equal(0);
+            });
+        });
+    });
+
+    describe("cancel()", function () {
+        it("retransmits the RST until the peer responds", function () {
+            const address = addressOf(receiver);
+            const sendRstPacket = sender._sendRstPacket;
+            let resets = 0;
+            sender._sendRstPacket = function (...args) {
+                resets += 1;
+                // the first one is lost
+                if (resets > 1) sendRstPacket.apply(this, args);
+            };
+            const controller = new AbortController();
+            const sent = sender.sendAsync(Buffer.alloc(3000000), address, { signal: controller.signal }).catch(err => err);
+            return delay(50).then(() => {
+                controller.abort();
+                return sent;
+            }).then(err => {
+                expect(err).to.be.instanceof(errors.AbortError);
+                return delay(2500);
+            }).then(() => {
+                expect(resets).to.be.equal(2);
+                expect(sender._resetNotifyQueue.size).to.be.equal(0);
+                expect(receiver._receivingSession.has(0, addressOf(sender))).to.be.false;
+            });
+        });
+        it("does not hold the ordered messages after a canceled one", function () {
+            receiver.close();
+            const messages = [];
+            const gaps = [];
+            let address;
+            return bound({ ordered: { timeout: 2000 } }).then(reudp => {
+                receiver = reudp;
+                address = addressOf(receiver);
+                receiver.on("message", message => messages.push(message.toString()));
+                receiver.on("gap", (...args) => gaps.push(args));
+                return sender.sendAsync(Buffer.from("a"), address);
+            }).then(() => {
+                // canceled before any of its packets is sent
+                const controller = new AbortController();
+                const canceled = sender.sendAsync(Buffer.from("b"), address, { signal: controller.signal }).catch(err => err);
+                controller.abort();
+                return canceled;
+            }).then(err => {
+                expect(err).to.be.instanceof(errors.AbortError);
+                return sender.sendAsync(Buffer.from("c"), address);
+            }).then(() => delay(100)).then(() => {
+                expect(messages).to.be.deep.equal(["a", "c"]);
+                expect(gaps).to.be.empty;
+            });
+        });
+    });
+
+    describe("peers", function () {
+        it("admits a new peer past maxPeers when the others are idle", function () {
+            receiver.close();
+            let other;
+            let address;
+            return Promise.all([bound({ admission: { maxPeers: 1 } }), bound()]).then(([a, b]) => {
+                receiver = a;
+                other = b;
+                address = addressOf(receiver);
+                // the receiver is busy with the sender
+                const busy = sender.sendAsync(Buffer.alloc(3000000), address);
+                return delay(20).then(() => {
+                    return other.sendAsync(Buffer.from("hello"), address, { deadline: 300 }).catch(err => err);
+                }).then(err => {
+                    expect(err).to.be.instanceof(errors.TimeoutError);
+                    expect(receiver.rejected.peers).to.be.above(0);
+                    return busy;
+                });
+            }).then(() => {
+                return other.sendAsync(Buffer.from("hello"), address);
+            }).then(id => {
+                expect(id).to.be.a("number");
+                expect(receiver._peers.has(addressOf(sender))).to.be.false;
+                other.close();
+            }, err => {
+                other.close();
+                throw err;
+            });
+        });
+        it("evicts an idle peer only for an admitted peer that makes its state", function () {
+            receiver.close();
+            let other;
+            let address;
+            return Promise.all([bound({ admission: { maxPeers: 1 } }), bound()]).then(([a, b]) => {
+                receiver = a;
+                other = b;
+                address = addressOf(receiver);
+                return sender.sendAsync(Buffer.from("hello"), address);
+            }).then(() => {
+                receiver.block("127.0.0.1/32");
+                other.sendAsync(Buffer.from("hello"), address).catch(() => {});
+                return delay(100);
+            }).then(() => {
+                expect(receiver.rejected.blocked).to.be.above(0);
+                receiver.unblock("127.0.0.1/32");
+                // neither a corrupted packet nor a heartbeat makes the state
+                other._socket.send(Buffer.alloc(20, 1), address.port, address.address);
+                other._sendKalPacket(1, address);
+                return delay(100);
+            }).then(() => {
+                expect(receiver._peers.has(addressOf(sender))).to.be.true;
+                return other.sendAsync(Buffer.from("hello"), address);
+            }).then(() => {
+                expect(receiver._peers.has(addressOf(sender))).to.be.false;
+                expect(receiver._peers.has(addressOf(other))).to.be.true;
+                other.close();
+            }, err => {
+                other.close();
+                throw err;
+            });
+        });
+        it("does not make the state of a peer that sent no message", function () {
+            receiver.close();
+            return bound({ keepalive: true }).then(reudp => {
+                receiver = reudp;
+                sender._sendKalPacket(1, addressOf(receiver));
+                return delay(200);
+            }).then(() => {
+                expect(receiver.getPeerStats(addressOf(sender))).to.be.null;
+            });
+        });
+        it("forgets the idle peers", function () {
+            sender.close();
+            receiver.close();
+            return Promise.all([bound({ peerTtl: 200 }), bound({ peerTtl: 200 })]).then(([a, b]) => {
+                sender = a;
+                receiver = b;
+                return sender.sendAsync(Buffer.alloc(10000, 1), addressOf(receiver));
+            }).then(() => {
+                expect(receiver.getPeerStats(addressOf(sender))).to.be.not.null;
+                return delay(1000);
+            }).then(() => {
+                expect(sender.getPeerStats(addressOf(receiver))).to.be.null;
+                expect(receiver.getPeerStats(addressOf(sender))).to.be.null;
+            });
+        });
+    });
+
+    describe("reassembly", function () {
+        const refused = promise => promise.then(() => {
+            throw new Error("not refused");
+        }, err => {
+            expect(err).to.be.instanceof(errors.PeerError);
+            expect(err.errType).to.be.equal(3);
+        });
+
+        it("refuses the messages past peerMessages without the state of the peer", function () {
+            receiver.close();
+            return bound({ reassembly: { peerMessages: 0 } }).then(reudp => {
+                receiver = reudp;
+                return refused(sender.sendAsync(Buffer.alloc(10000), addressOf(receiver)));
+            }).then(() => {
+                expect(receiver._peers.peek(addressOf(sender))).to.be.undefined;
+            });
+        });
+        it("emits peer-error when the message of send() is refused", function () {
+            receiver.close();
+            let address;
+            return bound({ reassembly: { peerMessages: 0 } }).then(reudp => {
+                receiver = reudp;
+                address = addressOf(receiver);
+                const failed = once(sender, "peer-error");
+                const id = sender.send(Buffer.alloc(10000), address);
+                return failed.then(([errId, rinfo, err]) => {
+                    expect(errId).to.be.equal(id);
+                    expect(rinfo.port).to.be.equal(address.port);
+                    expect(err).to.be.instanceof(errors.PeerError);
+                    expect(err.errType).to.be.equal(3);
+                    expect(err.id).to.be.equal(id);
+                });
+            });
+        });
+        it("evicts the message past peerBytes", function () {
+            receiver.close();
+            const evicted = [];
+            let address;
+            return bound({ reassembly: { peerBytes: 50000 } }).then(reudp => {
+                receiver = reudp;
+                address = addressOf(receiver);
+                receiver.on("reassembly-evicted", (id, rinfo, size) => evicted.push([id, size]));
+                return refused(sender.sendAsync(Buffer.alloc(100000), address));
+            }).then(() => {
+                expect(evicted.length).to.be.equal(1);
+                expect(evicted[0][0]).to.be.equal(0);
+                expect(evicted[0][1]).to.be.at.most(50000);
+                expect(receiver.getSessions().receiving).to.be.empty;
+                return sender.sendAsync(Buffer.alloc(10000), address);
+            }).then(id => {
+                expect(id).to.be.equal(1);
+            });
+        });
+        it("evicts the idlest message past the total bytes", function () {
+            receiver.close();
+            const evicted = [];
+            let address;
+            return bound({ reassembly: { bytes: 150000 } }).then(reudp => {
+                receiver = reudp;
+                address = addressOf(receiver);
+                receiver.on("reassembly-evicted", id => evicted.push(id));
+                // the first message is not finished before the second
+                holdFirst(sender);
+                return Promise.all([
+                    sender.sendAsync(Buffer.alloc(100000), address).catch(err => err),
+                    sender.sendAsync(Buffer.alloc(100000), address).catch(err => err),
+                ]);
+            }).then(results => {
+                const failures = results.filter(result => result instanceof errors.PeerError);
+                expect(failures.length).to.be.equal(1);
+                expect(evicted).to.be.deep.equal([0]);
+            });
+        });
+    });
+
+    describe("replay", function () {
+        // bound to the same port as if it was restarted
+        const restart = (reudp, options = {}) => {
+            const { port } = addressOf(reudp);
+            reudp.close();
+            return delay(20).then(() => {
+                const again = new ReUDP(options);
+                return new Promise(resolve => again.bind(port, "127.0.0.1", () => resolve(again)));
+            });
+        };
+
+        it("answers the late packets of a peer that made the handshake by FIN", function () {
+            sender.close();
+            const address = addressOf(receiver);
+            const messages = [];
+            const datagrams = [];
+            const types = [];
+            receiver.on("message", message => messages.push(message.toString()));
+            return bound({ handshake: true }).then(reudp => {
+                sender = reudp;
+                const senderSend = sender._send;
+                sender._send = function (buffer) {
+                    datagrams.push(buffer);
+                    return senderSend.apply(this, arguments);
+                };
+                return sender.sendAsync(Buffer.from("a"), address);
+            }).then(() => {
+                // as if the session was cleared
+                receiver._receivingSession.deletePeer(addressOf(sender));
+                const send = receiver._send;
+                receiver._send = function (buffer) {
+                    types.push(buffer[0]);
+                    return send.apply(this, arguments);
+                };
+                sender._send(datagrams.find(datagram => datagram[0] === 1), address);
+                return delay(100);
+            }).then(() => {
+                expect(types).to.be.deep.equal([3]);
+                expect(messages).to.be.deep.equal(["a"]);
+                expect(receiver.getStats().duplicates).to.be.above(0);
+            });
+        });
+        it("receives the messages of a restarted peer that did not make the handshake", function () {
+            receiver.close();
+            const messages = [];
+            let address;
+            return bound({ handshake: true }).then(reudp => {
+                receiver = reudp;
+                address = addressOf(receiver);
+                receiver.on("message", message => messages.push(message.toString()));
+                return sender.sendAsync(Buffer.from("a"), address);
+            }).then(() => {
+                expect(receiver.getPeerStats(addressOf(sender)).handshake).to.be.equal("established");
+                return restart(sender);
+            }).then(reudp => {
+                sender = reudp;
+                // the same id as the finished one
+                return sender.sendAsync(Buffer.from("b"), address);
+            }).then(id => {
+                expect(id).to.be.equal(0);
+                return delay(50);
+            }).then(() => {
+                expect(messages).to.be.deep.equal(["a", "b"]);
+            });
+        });
+        it("never finishes the message of a restarted peer that is not received", function () {
+            const address = addressOf(receiver);
+            const messages = [];
+            receiver.on("message", message => messages.push(message.toString()));
+            return sender.sendAsync(Buffer.from("a"), address).then(() => {
+                return restart(sender);
+            }).then(reudp => {
+                sender = reudp;
+                return sender.sendAsync(Buffer.from("b"), address);
+            }).then(() => {
+                throw new Error("finished");
+            }, err => {
+                expect(err).to.be.instanceof(errors.TimeoutError);
+                expect(messages).to.be.deep.equal(["a"]);
+            });
+        });
+    });
+
+    describe("stats", function () {
+        it("counts the packets and the messages", function () {
+            const address = addressOf(receiver);
+            return sender.sendAsync(Buffer.alloc(100000, 1), address).then(() => delay(50)).then(() => {
+                const sent = sender.getStats();
+                const received = receiver.getStats();
+                expect(sent.messagesSent).to.be.equal(1);
+                expect(received.messagesReceived).to.be.equal(1);
+                expect(sent.packetsSent).to.be.at.least(Math.ceil(100000 / 1090));
+                expect(sent.bytesSent).to.be.above(100000);
+                expect(received.packetsReceived).to.be.at.least(Math.ceil(100000 / 1090));
+                expect(received.bytesReceived).to.be.above(100000);
+                expect(sender.getPeerStats(address).packetsSent).to.be.equal(sent.packetsSent);
+                expect(receiver.getPeerStats(addressOf(sender)).messagesReceived).to.be.equal(1);
+            });
+        });
+        it("counts the requests, the retransmissions and the duplicates", function () {
+            const address = addressOf(receiver);
+            const socketSend = sender._socket.send;
+            const datagrams = [];
+            sender._socket.send = function (buf) {
+                datagrams.push(Buffer.from(buf));
+                // every tenth is lost
+                if (datagrams.length % 10 === 0) return;
+                return socketSend.apply(this, arguments);
+            };
+            return sender.sendAsync(Buffer.alloc(100000, 1), address).then(() => {
+                sender._socket.send = socketSend;
+                const duplicates = receiver.getStats().duplicates;
+                socketSend.call(sender._socket, datagrams[0], 0, datagrams[0].length, address.port, "127.0.0.1");
+                return delay(100).then(() => {
+                    expect(receiver.getStats().duplicates).to.be.equal(duplicates + 1);
+                    expect(receiver.getStats().reqsSent).to.be.above(0);
+                    expect(sender.getStats().reqsReceived).to.be.above(0);
+                    expect(sender.getStats().retransmissions).to.be.above(0);
+                });
+            });
+        });
+        it("counts the timeouts", function () {
+            const address = addressOf(receiver);
+            receiver.close();
+            return sender.sendAsync(Buffer.from("hello"), address, { deadline: 100 }).catch(err => err).then(err => {
+                expect(err).to.be.instanceof(errors.TimeoutError);
+                expect(sender.getStats().timeouts).to.be.equal(1);
+                expect(sender.getPeerStats(address).timeouts).to.be.equal(1);
+                return bound();
+            }).then(reudp => {
+                receiver = reudp;
+            });
+        });
+    });
+
+    describe("round trip time", function () {
+        it("is sampled by the receiver from the packets retransmitted once on request", function () {
+            const rinfo = addressOf(sender);
+            const info = { id: 1, singleTotal: 4, total: 4, flags: 0, channel: 0, sequence: 1, data: Buffer.alloc(10) };
+            receiver._handlePshPacket(Object.assign({}, info, { seq: 0 }), rinfo);
+            const buffers = receiver._receivingSession.get(1, rinfo);
+            const rtt = receiver._peers.peek(rinfo).rtt;
+            const samples = rtt.samples;
+            receiver._request(buffers, info, rinfo);
+            // the late original one
+            receiver._handlePshPacket(Object.assign({}, info, { seq: 1 }), rinfo);
+            expect(rtt.samples).to.be.equal(samples);
+            receiver._handlePshPacket(Object.assign({}, info, { seq: 2, flags: 0x40 }), rinfo);
+            expect(rtt.samples).to.be.equal(samples + 1);
+            // requested twice
+            receiver._request(buffers, info, rinfo);
+            receiver._handlePshPacket(Object.assign({}, info, { seq: 3, flags: 0x40 }), rinfo);
+            expect(rtt.samples).to.be.equal(samples + 1);
+        });
+        it("marks the requested packets retransmitted once", function () {
+            const flags = [];
+            let dropped = false;
+            const send = sender._send;
+            sender._send = function (buffer, rinfo) {
+                // drop the first packet of the second sequence
+                if (buffer[0] === 1 && buffer.readUInt16BE(6) === 1) {
+                    flags.push(buffer[1]);
+                    if (!dropped) {
+                        dropped = true;
+                        return;
+                    }
+                }
+                return send.apply(this, arguments);
+            };
+            return sender.sendAsync(Buffer.alloc(10000, 1), addressOf(receiver)).then(() => {
+                expect(flags.length).to.be.at.least(2);
+                expect(flags[0] & 0x40).to.be.equal(0);
+                expect(flags.slice(1).filter(flag => flag & 0x40).length).to.be.equal(1);
+            });
+        });
+    });
+
+    describe("handshake", function () {
+        /**
+         * @param {ReUDP} reudp
+         * @param {Function} [drop] - whether the packet is dropped
+         * @return {number[]} - the types of the sent packets
+         */
+        const watch = (reudp, drop = () => false) => {
+            const types = [];
+            const send = reudp._send;
+            reudp._send = function (buffer) {
+                types.push(buffer[0]);
+                if (drop(buffer)) return;
+                return send.apply(this, arguments);
+            };
+            return types;
+        };
+        it("is not made by default", function () {
+            const types = watch(sender);
+            return sender.sendAsync(Buffer.alloc(10, 1), addressOf(receiver)).then(() => {
+                expect(types).to.not.include(7);
+                expect(sender.getPeerStats(addressOf(receiver)).handshake).to.be.null;
+            });
+        });
+        it("sends anyway when the peer never answers", function () {
+            sender.close();
+            return bound({ handshake: true }).then(reudp => {
+                sender = reudp;
+                const types = watch(sender, buffer => buffer[0] === 7);
+                return sender.sendAsync(Buffer.alloc(10, 1), addressOf(receiver)).then(() => {
+                    expect(types.filter(type => type === 7).length).to.be.equal(3);
+                    expect(sender.getPeerStats(addressOf(receiver)).handshake).to.be.equal("unsupported");
+                });
+            });
+        });
+    });
+
+    describe("keepalive", function () {
+        const keepalive = { interval: 100, misses: 2 };
+        /**
+         * @param {ReUDP} reudp
+         * @return {Function} - returns the count of the sent heartbeats
+         */
+        const countPings = reudp => {
+            let count = 0;
+            const send = reudp._send;
+            reudp._send = function (buffer) {
+                if (buffer[0] === 8) count += 1;
+                return send.apply(this, arguments);
+            };
+            return () => count;
+        };
+        beforeEach(function () {
+            sender.close();
+            receiver.close();
+            return Promise.all([bound({ keepalive }), bound({ keepalive })]).then(([a, b]) => {
+                sender = a;
+                receiver = b;
+            });
+        });
+        it("tells when the peer is up and down, then stops pinging it", function () {
+            const up = once(sender, "peer-up");
+            const address = addressOf(receiver);
+            return sender.sendAsync(Buffer.alloc(10, 1), address).then(() => up).then(([rinfo]) => {
+                expect(rinfo.port).to.be.equal(address.port);
+                const down = once(sender, "peer-down");
+                receiver.close();
+                return down;
+            }).then(() => {
+                expect(sender.getPeerStats(address)).to.be.null;
+                const pings = countPings(sender);
+                return delay(500).then(() => {
+                    expect(pings()).to.be.equal(0);
+                });
+            });
+        });
+        it("does not ping the peer that exchanged nothing", function () {
+            const pings = countPings(receiver);
+            sender._handshake(sender._peers.get(addressOf(receiver)));
+            return delay(500).then(() => {
+                expect(receiver.getPeerStats(addressOf(sender))).to.be.not.null;
+                expect(pings()).to.be.equal(0);
+            });
+        });
+    });
+
+    describe("encryption", function () {
+        it("drops the replayed datagrams", function () {
+            const encryption = { key: Buffer.alloc(32, 9) };
+            sender.close();
+            receiver.close();
+            const datagrams = [];
+            let socketSend;
+            return Promise.all([bound({ encryption }), bound({ encryption })]).then(([a, b]) => {
+                sender = a;
+                receiver = b;
+                socketSend = sender._socket.send;
+                sender._socket.send = function (buf) {
+                    datagrams.push(Buffer.from(buf));
+                    return socketSend.apply(this, arguments);
+                };
+                const received = once(receiver, "message");
+                return sender.sendAsync(Buffer.from("hello"), addressOf(receiver)).then(() => received);
+            }).then(([message]) => {
+                expect(message.toString()).to.be.equal("hello");
+                const { authFailures } = receiver.getStats();
+                const { port } = addressOf(receiver);
+                const replayed = datagrams.splice(0);
+                for (const datagram of replayed) {
+                    socketSend.call(sender._socket, datagram, 0, datagram.length, port, "127.0.0.1");
+                }
+                return delay(200).then(() => {
+                    expect(receiver.getStats().authFailures - authFailures).to.be.equal(replayed.length);
+                });
+            });
+        });
+    });
+
+    describe("identity", function () {
+        let datagrams;
+        let socketSend;
+        beforeEach(function () {
+            sender.close();
+            receiver.close();
+            datagrams = [];
+            return Promise.all([bound({ identity: true }), bound({ identity: true })]).then(([a, b]) => {
+                sender = a;
+                receiver = b;
+                socketSend = sender._socket.send;
+                sender._socket.send = function (buf) {
+                    datagrams.push(Buffer.from(buf));
+                    return socketSend.apply(this, arguments);
+                };
+            });
+        });
+        it("keeps the session keys when a SYN is replayed", function () {
+            const address = addressOf(receiver);
+            let syn;
+            return sender.sendAsync(Buffer.from("first"), address).then(() => {
+                syn = datagrams[0];
+                // the keys of the replayed SYN are outdated
+                sender._peers.peek(address).handshake = null;
+                return sender.sendAsync(Buffer.from("second"), address);
+            }).then(() => {
+                socketSend.call(sender._socket, syn, 0, syn.length, address.port, "127.0.0.1");
+                return delay(200);
+            }).then(() => {
+                const received = once(receiver, "message");
+                return sender.sendAsync(Buffer.from("third"), address).then(() => received);
+            }).then(([message]) => {
+                expect(message.toString()).to.be.equal("third");
+            });
+        });
+        it("ignores the unsigned SYN of another version", function () {
+            const address = addressOf(receiver);
+            const mismatches = [];
+            sender.on("version-mismatch", version => mismatches.push(version));
+            const sent = sender.sendAsync(Buffer.alloc(100000, 1), address);
+            sender._handleSynPacket({
+                id: 1,
+                version: 99,
+                capabilities: 0,
+                hello: Buffer.from([99, 0, 0]),
+                keyExchange: crypto.randomBytes(128),
+            }, address);
+            return sent.then(() => {
+                expect(mismatches).to.be.empty;
+                expect(sender.getStats().authFailures).to.be.equal(1);
+            });
+        });
+        it("ignores the unsigned refusal of the version", function () {
+            const address = addressOf(receiver);
+            const mismatches = [];
+            sender.on("version-mismatch", version => mismatches.push(version));
+            const sent = sender.sendAsync(Buffer.from("hello"), address);
+            // not a signature of the version
+            const signed = crypto.randomBytes(96);
+            sender._handleErrPacket({ id: sender._incarnation, errType: 1, version: 99, signed }, address);
+            return sent.then(() => {
+                expect(mismatches).to.be.empty;
+            });
+        });
+        it("fails the sendings when the peer refused the version with its signature", function () {
+            receiver._supportsVersion = () => false;
+            const mismatches = [];
+            sender.on("version-mismatch", (rinfo, version) => mismatches.push(version));
+            return sender.sendAsync(Buffer.from("hello"), addressOf(receiver)).then(() => {
+                throw new Error("not failed");
+            }, err => {
+                expect(err).to.be.instanceof(errors.VersionMismatchError);
+                expect(mismatches).to.be.deep.equal([1]);
+            });
+        });
+        it("uses the new keys after the peer proved them", function () {
+            const address = addressOf(receiver);
+            const resets = [];
+            receiver.on("peer-reset", rinfo => resets.push(rinfo));
+            return sender.sendAsync(Buffer.from("first"), address).then(() => {
+                const peer = sender._peers.peek(address);
+                const cipher = peer.cipher;
+                // handshake again
+                peer.handshake = null;
+                const received = once(receiver, "message");
+                return sender.sendAsync(Buffer.from("second"), address).then(() => {
+                    expect(peer.cipher).to.not.be.equal(cipher);
+                    return received;
+                });
+            }).then(([message]) => {
+                expect(message.toString()).to.be.equal("second");
+                expect(resets).to.be.empty;
+            });
+        });
+    });
+
+    describe("integrity", function () {
+        it("tells once that the peer uses another algorithm", function () {
+            sender.close();
+            const mismatches = [];
+            receiver.on("integrity-mismatch", (rinfo, algorithm) => mismatches.push(algorithm));
+            return bound({ integrity: "crc32c" }).then(reudp => {
+                sender = reudp;
+                // only the known peers are checked
+                receiver.send(Buffer.from("hello"), addressOf(sender));
+                for (let i = 0; i < 10; i++) {
+                    sender.send(Buffer.from("hello"), addressOf(receiver));
+                }
+                return delay(500);
+            }).then(() => {
+                expect(mismatches).to.be.deep.equal(["crc32c"]);
+            });
+        });
+        it("does not take a corrupted packet for another algorithm", function () {
+            const mismatches = [];
+            receiver.on("integrity-mismatch", (rinfo, algorithm) => mismatches.push(algorithm));
+            const datagrams = [];
+            const socketSend = sender._socket.send;
+            sender._socket.send = function (buf) {
+                datagrams.push(Buffer.from(buf));
+                return socketSend.apply(this, arguments);
+            };
+            return sender.sendAsync(Buffer.alloc(100, 1), addressOf(receiver)).then(() => {
+                const failures = receiver.getStats().integrityFailures;
+                const corrupted = datagrams[0];
+                corrupted[corrupted.length - 1] ^= 0xff;
+                socketSend.call(sender._socket, corrupted, 0, corrupted.length, addressOf(receiver).port, "127.0.0.1");
+                return delay(200).then(() => {
+                    expect(receiver.getStats().integrityFailures).to.be.equal(failures + 1);
+                    expect(mismatches).to.be.empty;
+                });
+            });
+        });
+    });
+
+    describe("malformed packets", function () {
+        it("ignores the truncated packets and the unknown ack types", function () {
+            const address = addressOf(receiver);
+            // an ACK without its type, then of an unknown type
+            sender._send(Buffer.from([4, 0, 0, 0, 0, 1]), address, null);
+            sender._send(Buffer.from([4, 0, 0, 0, 0, 1, 0xff]), address, null);
+            return delay(100).then(() => {
+                return sender.sendAsync(Buffer.from("hello"), address);
+            }).then(id => {
+                expect(id).to.be.a("number");
+            });
+        });
+    });
+
+    describe("fec", function () {
+        it("recovers a lost packet by the parity of its group", function () {
+            sender.close();
+            receiver.close();
+            const buffer = crypto.randomBytes(30000);
+            return Promise.all([bound({ fec: true }), bound({ fec: true })]).then(([a, b]) => {
+                sender = a;
+                receiver = b;
+                return sender.sendAsync(Buffer.from("hello"), addressOf(receiver));
+            }).then(() => {
+                // drop the second packet of the message
+                const socketSend = sender._socket.send;
+                let count = 0;
+                sender._socket.send = function (...args) {
+                    count += 1;
+                    if (count === 2) return;
+                    socketSend.apply(this, args);
+                };
+                const received = once(receiver, "message");
+                return sender.sendAsync(buffer, addressOf(receiver)).then(() => received);
+            }).then(([message]) => {
+                expect(message.equals(buffer)).to.be.true;
+                expect(receiver.getStats().reqsSent).to.be.equal(0);
+            });
+        });
+        it("ignores the parities of the unknown messages and the invalid groups", function () {
+            receiver.close();
+            const buffer = crypto.randomBytes(5000);
+            let address;
+            return bound({ fec: true }).then(reudp => {
+                receiver = reudp;
+                address = addressOf(receiver);
+                sender._sendFecPacket(5, 0, [Buffer.from("a")], address);
+                sender._sendFecPacket(6, 0, [Buffer.from("a"), Buffer.from("b")], address);
+                return delay(100);
+            }).then(() => {
+                expect(receiver.getSessions().receiving).to.be.empty;
+                expect(receiver._peers.peek(addressOf(sender))).to.be.undefined;
+                const received = once(receiver, "message");
+                // the first packet is missing when the forged parities come
+                holdFirst(sender);
+                const sent = sender.sendAsync(buffer, address);
+                const id = sender.getSessions().sending[0].id;
+                sender._sendFecPacket(id, 0, [Buffer.from("a")], address);
+                sender._sendFecPacket(id, 0, [Buffer.from("a"), Buffer.from("b"), Buffer.from("c"),
+                    Buffer.from("d"), Buffer.from("e"), Buffer.from("f")], address);
+                return sent.then(() => received);
+            }).then(([message]) => {
+                expect(message.equals(buffer)).to.be.true;
+            });
+        });
+        it("ignores the parities when it does not enable fec", function () {
+            const address = addressOf(receiver);
+            sender._sendFecPacket(5, 0, [Buffer.from("a"), Buffer.from("b")], address);
+            return delay(100).then(() => {
+                expect(receiver.getSessions().receiving).to.be.empty;
+                return sender.sendAsync(Buffer.from("hello"), address);
+            }).then(id => {
+                expect(id).to.be.a("number");
+            });
+        });
+    });
+
+    describe("compression", function () {
+        it("sends the compressed messages to the peer that compresses too", function () {
+            sender.close();
+            receiver.close();
+            const buffer = Buffer.alloc(100000, 1);
+            return Promise.all([bound({ compress: true }), bound({ compress: true })]).then(([a, b]) => {
+                sender = a;
+                receiver = b;
+                // not compressed until the handshake
+                return sender.sendAsync(Buffer.from("hello"), addressOf(receiver));
+            }).then(() => {
+                const bytesSent = sender.getStats().bytesSent;
+                const received = once(receiver, "message");
+                return sender.sendAsync(buffer, addressOf(receiver)).then(() => received).then(([message]) => {
+                    expect(message.equals(buffer)).to.be.true;
+                    expect(sender.getStats().bytesSent - bytesSent).to.be.below(buffer.length / 10);
+                });
+            });
+        });
+        it("refuses the compressed messages when it does not compress", function () {
+            sender.close();
+            const address = addressOf(receiver);
+            const messages = [];
+            receiver.on("message", message => messages.push(message));
+            return bound({ compress: true }).then(reudp => {
+                sender = reudp;
+                return sender.sendAsync(Buffer.from("hello"), address);
+            }).then(() => {
+                const peer = sender._peers.peek(address);
+                expect(peer.capabilities & 0x0003).to.be.equal(0);
+                // as if the receiver had told it
+                peer.capabilities |= 0x0001;
+                return sender.sendAsync(Buffer.alloc(100000, 1), address);
+            }).then(() => {
+                throw new Error("not refused");
+            }, err => {
+                expect(err).to.be.instanceof(errors.PeerError);
+                expect(err.errType).to.be.equal(3);
+                expect(messages.length).to.be.equal(1);
+            });
+        });
+    });
+
+    describe("sendUnreliable()", function () {
+        it("emits the datagrams without a session", function () {
+            const datagrams = [];
+            receiver.on("datagram", (data, rinfo, id) => datagrams.push([data.toString(), rinfo.port, id]));
+            const address = addressOf(receiver);
+            expect(sender.sendUnreliable(Buffer.from("a"), address)).to.be.true;
+            expect(sender.sendUnreliable(Buffer.from("b"), address)).to.be.true;
+            return delay(100).then(() => {
+                const { port } = addressOf(sender);
+                expect(datagrams).to.be.deep.equal([["a", port, 0], ["b", port, 1]]);
+                expect(sender.getStats().messagesSent).to.be.equal(0);
+                expect(receiver.getStats().messagesReceived).to.be.equal(0);
+                expect(receiver.getStats().packetsSent).to.be.equal(0);
+            });
+        });
+        it("throws when the buffer does not fit in a datagram", function () {
+            const address = addressOf(receiver);
+            expect(() => sender.sendUnreliable("a", address)).to.throw(TypeError);
+            expect(() => sender.sendUnreliable(Buffer.alloc(2000), address)).to.throw(RangeError);
+        });
+        it("drops the datagrams before the session keys with the identities", function () {
+            sender.close();
+            receiver.close();
+            const datagrams = [];
+            let address;
+            return Promise.all([bound({ identity: true }), bound({ identity: true })]).then(([a, b]) => {
+                sender = a;
+                receiver = b;
+                address = addressOf(receiver);
+                receiver.on("datagram", (data, rinfo, id, identity) => datagrams.push([data.toString(), identity]));
+                expect(sender.sendUnreliable(Buffer.from("a"), address)).to.be.false;
+                return sender.sendAsync(Buffer.from("hello"), address);
+            }).then(() => {
+                expect(sender.sendUnreliable(Buffer.from("b"), address)).to.be.true;
+                return delay(100);
+            }).then(() => {
+                expect(datagrams.length).to.be.equal(1);
+                expect(datagrams[0][0]).to.be.equal("b");
+                expect(datagrams[0][1].equals(sender.publicKey)).to.be.true;
+            });
+        });
+    });
+
+    describe("ordered", function () {
+        const orderedPair = () => {
+            receiver.close();
+            return bound({ ordered: { timeout: 500 } }).then(reudp => {
+                receiver = reudp;
+            });
+        };
+
+        it("starts from the first message of a new peer", function () {
+            const messages = [];
+            const gaps = [];
+            return orderedPair().then(() => {
+                const address = addressOf(receiver);
+                receiver.on("message", message => messages.push(message.toString()));
+                receiver.on("gap", (...args) => gaps.push(args));
+                const release = holdFirst(sender);
+                const first = sender.sendAsync(Buffer.from("a"), address);
+                const second = sender.sendAsync(Buffer.from("b"), address);
+                return delay(100).then(() => {
+                    // the later one is held
+                    expect(messages).to.be.empty;
+                    release();
+                    return Promise.all([first, second]);
+                });
+            }).then(() => delay(50)).then(() => {
+                expect(messages).to.be.deep.equal(["a", "b"]);
+                expect(gaps).to.be.empty;
+            });
+        });
+        it("starts from the earliest message in the timeout when the peer sent before", function () {
+            const messages = [];
+            const gaps = [];
+            let address;
+            return orderedPair().then(() => {
+                address = addressOf(receiver);
+                receiver.on("message", message => messages.push(message.toString()));
+                receiver.on("gap", (...args) => gaps.push(args));
+                // as if the receiver was restarted
+                sender._sendingSession.getIdBy(address);
+                sender._sendingSession.getIdBy(address);
+                const release = holdFirst(sender);
+                const first = sender.sendAsync(Buffer.from("a"), address);
+                const second = sender.sendAsync(Buffer.from("b"), address);
+                return delay(100).then(() => {
+                    release();
+                    return delay(200);
+                }).then(() => {
+                    // the start is not known yet
+                    expect(messages).to.be.empty;
+                    return Promise.all([first, second]);
+                });
+            }).then(() => delay(500)).then(() => {
+                expect(messages).to.be.deep.equal(["a", "b"]);
+                expect(gaps).to.be.empty;
+                return sender.sendAsync(Buffer.from("c"), address);
+            }).then(() => delay(50)).then(() => {
+                expect(messages).to.be.deep.equal(["a", "b", "c"]);
+            });
+        });
+    });
+
+    describe("channels", function () {
+        const channels = [
+            { name: "control", priority: 1, ordered: { timeout: 500 } },
+            { name: "bulk", ordered: { timeout: 500 } },
+        ];
+        beforeEach(function () {
+            sender.close();
+            receiver.close();
+            return Promise.all([bound({ channels }), bound({ channels })]).then(([a, b]) => {
+                sender = a;
+                receiver = b;
+            });
+        });
+
+        it("orders the messages of every channel on its own", function () {
+            const address = addressOf(receiver);
+            const messages = [];
+            receiver.on("message", (message, rinfo, id, identity, channel) => {
+                messages.push(`${channel}:${message}`);
+            });
+            const socketSend = sender._socket.send;
+            let held = null;
+            sender._socket.send = function (...args) {
+                held = args;
+                sender._socket.send = socketSend;
+            };
+            const sent = [
+                sender.sendAsync(Buffer.from("a"), address, { channel: "control" }),
+                sender.sendAsync(Buffer.from("b"), address, { channel: "control" }),
+                sender.sendAsync(Buffer.from("c"), address, { channel: "bulk" }),
+            ];
+            return delay(100).then(() => {
+                // the missing one holds its channel only
+                expect(messages).to.be.deep.equal(["bulk:c"]);
+                socketSend.apply(sender._socket, held);
+                return Promise.all(sent);
+            }).then(() => delay(50)).then(() => {
+                expect(messages).to.be.deep.equal(["bulk:c", "control:a", "control:b"]);
+            });
+        });
+        it("sends the higher priority first", function () {
+            const address = addressOf(receiver);
+            const messages = [];
+            receiver.on("message", (message, rinfo, id, identity, channel) => messages.push(channel));
+            return Promise.all([
+                sender.sendAsync(Buffer.alloc(1000000, 1), address, { channel: "bulk" }),
+                sender.sendAsync(Buffer.alloc(1000, 2), address, { channel: "control" }),
+            ]).then(() => delay(50)).then(() => {
+                expect(messages).to.be.deep.equal(["control", "bulk"]);
+            });
+        });
+        it("rejects an unknown channel", function () {
+            return sender.sendAsync(Buffer.from("a"), addressOf(receiver), { channel: "none" }).then(() => {
+                throw new Error("not rejected");
+            }, err => {
+                expect(err).to.be.instanceof(TypeError);
+            });
+        });
+    });
+
+    describe("pmtu", function () {
+        it("does not probe by default", function () {
+            const types = [];
+            const send = sender._send;
+            sender._send = function (buffer) {
+                types.push(buffer[0]);
+                return send.apply(this, arguments);
+            };
+            return sender.sendAsync(Buffer.alloc(10000, 1), addressOf(receiver)).then(() => {
+                expect(types).to.not.include(6);
+                expect(sender.getPeerStats(addressOf(receiver)).datagramSize).to.be.equal(1090);
+            });
+        });
+        it("probes up to 1500 minus the headers", function () {
+            sender.close();
+            return bound({ pmtu: true }).then(reudp => {
+                sender = reudp;
+                return sender.sendAsync(Buffer.alloc(10000, 1), addressOf(receiver));
+            }).then(() => delay(2000)).then(() => {
+                const { datagramSize } = sender.getPeerStats(addressOf(receiver));
+                expect(datagramSize).to.be.above(1090);
+                expect(datagramSize).to.be.at.most(1472);
+            });
+        });
+    });
+
+    describe("sendStream()", function () {
+        /**
+         * @param {Readable} readable
+         * @return {Promise<Buffer>} - the data of the stream
+         */
+        const collect = readable => new Promise((resolve, reject) => {
+            const chunks = [];
+            readable.on("data", chunk => chunks.push(chunk));
+            readable.on("end", () => resolve(Buffer.concat(chunks)));
+            readable.on("error", reject);
+        });
+        it("sends the chunks in order", function () {
+            const data = Buffer.alloc(300000);
+            for (let i = 0; i < data.length; i++) {
+                data[i] = i % 251;
+            }
+            const streamed = once(receiver, "stream").then(([readable]) => collect(readable));
+            return sender.sendStream(Readable.from([data.slice(0, 1000), data.slice(1000)]), addressOf(receiver), {
+                chunkSize: 64 * 1024,
+            }).then(() => streamed).then(result => {
+                expect(result.equals(data)).to.be.true;
+            });
+        });
+        it("counts the string chunks in bytes", function () {
+            const text = "héllo wörld ünïcode";
+            const readable = Readable.from([Buffer.from(text)]);
+            readable.setEncoding("utf8");
+            const streamed = once(receiver, "stream").then(([stream]) => collect(stream));
+            return sender.sendStream(readable, addressOf(receiver), { chunkSize: 4 })
+                .then(() => streamed)
+                .then(result => {
+                    expect(result.toString()).to.be.equal(text);
+                });
+        });
+    });
+});
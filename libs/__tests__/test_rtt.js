@@ -0,0 +1,46 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const RttEstimator = require("../rtt.js");
+
+describe("test RttEstimator", function () {
+    it("returns the initial RTO before any sample", function () {
+        const rtt = new RttEstimator({ initial: 300 });
+        expect(rtt.rto).to.be.equal(300);
+        expect(rtt.srtt).to.be.equal(0);
+    });
+    it("initializes SRTT and RTTVAR by the first sample", function () {
+        const rtt = new RttEstimator({ granularity: 1, min: 1 });
+        rtt.update(100);
+        expect(rtt.srtt).to.be.equal(100);
+        expect(rtt.rttvar).to.be.equal(50);
+        expect(rtt.rto).to.be.equal(300);
+    });
+    it("smooths the following samples", function () {
+        const rtt = new RttEstimator({ granularity: 1, min: 1 });
+        rtt.update(100);
+        rtt.update(200);
+        expect(rtt.rttvar).to.be.equal(50 * 3 / 4 + 100 / 4);
+        expect(rtt.srtt).to.be.equal(100 * 7 / 8 + 200 / 8);
+        expect(rtt.rto).to.be.equal(rtt.srtt + 4 * rtt.rttvar);
+        expect(rtt.latest).to.be.equal(200);
+        expect(rtt.samples).to.be.equal(2);
+    });
+    it("keeps the RTO between min and max", function () {
+        const rtt = new RttEstimator({ min: 50, max: 1000 });
+        rtt.update(1);
+        expect(rtt.rto).to.be.equal(50);
+        rtt.update(10000);
+        expect(rtt.rto).to.be.equal(1000);
+    });
+    it("ignores invalid samples", function () {
+        const rtt = new RttEstimator();
+        rtt.update(-1);
+        rtt.update(NaN);
+        rtt.update(Infinity);
+        expect(rtt.samples).to.be.equal(0);
+    });
+});
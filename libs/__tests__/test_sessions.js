@@ -0,0 +1,68 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const { SendingSession, ReceivingSession } = require("../sessions.js");
+
+describe("test deletePeer method", function () {
+    it("deletes all of the sessions of the peer only", function () {
+        const session = new ReceivingSession();
+        const peer1 = { port: 1, address: "127.0.0.1", family: "IPv4" };
+        const peer2 = { port: 11, address: "127.0.0.1", family: "IPv4" };
+        session.get(1, peer1);
+        session.get(2, peer1);
+        session.get(1, peer2);
+        session.deletePeer(peer1);
+        expect(session.has(1, peer1)).to.be.false;
+        expect(session.has(2, peer1)).to.be.false;
+        expect(session.has(1, peer2)).to.be.true;
+    });
+    it("calls onBeforeDestroy for the deleted sessions", function () {
+        const destroyed = [];
+        const session = new SendingSession({
+            onBeforeDestroy(key, val) {
+                destroyed.push(val);
+            },
+        });
+        const value = {};
+        session.set(0, { port: 1 }, value);
+        session.deletePeer({ port: 1 });
+        expect(destroyed).to.be.eql([value]);
+    });
+});
+
+describe("test touchPeer method", function () {
+    it("refreshes the last visit time of the sessions of the peer only", function () {
+        const session = new SendingSession();
+        const value1 = {};
+        const value2 = {};
+        session.set(0, { port: 1 }, value1);
+        session.set(0, { port: 2 }, value2);
+        value1.__lastVisit__ = value2.__lastVisit__ = 0;
+        session.touchPeer({ port: 1 });
+        expect(value1.__lastVisit__).to.be.above(0);
+        expect(value2.__lastVisit__).to.be.equal(0);
+    });
+});
+
+describe("test autoClear method", function () {
+    it("calls onBeforeDestroy for the expired sessions", function (done) {
+        const destroyed = [];
+        const session = new ReceivingSession({
+            autoClear: { ttl: 1, interval: 5 },
+            onBeforeDestroy(key, val) {
+                destroyed.push(val);
+            },
+        });
+        const value = session.get(0, { port: 1 });
+        value.__lastVisit__ = 0;
+        setTimeout(() => {
+            session.stopClear();
+            expect(destroyed).to.be.eql([value]);
+            expect(session.has(0, { port: 1 })).to.be.false;
+            done();
+        }, 20);
+    });
+});
@@ -0,0 +1,20 @@
+"use strict";
+
+/* eslint-env mocha */
+
+const expect = require("chai").expect;
+
+const stats = require("../stats.js");
+
+describe("test createCounters function", function () {
+    it("returns all of the counters that are 0", function () {
+        const counters = stats.createCounters();
+        expect(Object.keys(counters)).to.be.deep.equal(stats.COUNTERS);
+        expect(Object.values(counters).every(value => value === 0)).to.be.true;
+    });
+    it("returns a new object every time", function () {
+        const counters = stats.createCounters();
+        counters.packetsSent += 1;
+        expect(stats.createCounters().packetsSent).to.be.equal(0);
+    });
+});
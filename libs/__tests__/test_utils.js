@@ -172,3 +172,16 @@ describe("test deleteBy function", function () {
         expect(utils.deleteBy([1, 2, 3], 3)).to.be.true;
     });
 });
+
+describe("test peerKey function", function () {
+    it("returns the same key for the same address", function () {
+        expect(utils.peerKey({ port: 1, address: "127.0.0.1", family: "IPv4" }))
+            .to.be.equal(utils.peerKey({ port: 1 }));
+        expect(utils.peerKey({ port: 1, address: "::1", family: "IPv6" }))
+            .to.be.equal(utils.peerKey({ port: 1, family: 6 }));
+    });
+    it("returns different keys for different addresses", function () {
+        expect(utils.peerKey({ port: 1, address: "127.0.0.1" }))
+            .to.be.not.equal(utils.peerKey({ port: 2, address: "127.0.0.1" }));
+    });
+});
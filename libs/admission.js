@@ -0,0 +1,287 @@
+"use strict";
+
+const net = require("net");
+
+const SUBNET_PREFIX = 24;
+const SUBNET_PREFIX6 = 64;
+const MAX_BUCKETS = 65536;
+
+/**
+ * @param {string} address - IPv4 or IPv6, the zone index is ignored
+ * @return {?Buffer} - 4 or 16 bytes, null if invalid. the IPv4-mapped IPv6
+ *         addresses are converted to IPv4
+ */
+function parseAddress(address) {
+    if (typeof address !== "string") return null;
+    address = address.split("%")[0];
+    if (net.isIPv4(address)) {
+        return Buffer.from(address.split(".").map(Number));
+    }
+    if (!net.isIPv6(address)) return null;
+    const [head, tail] = address.split("::");
+    const toGroups = str => {
+        if (!str) return [];
+        const groups = [];
+        for (const part of str.split(":")) {
+            if (part.includes(".")) {
+                const [a, b, c, d] = part.split(".").map(Number);
+                groups.push((a << 8) | b, (c << 8) | d);
+            } else {
+                groups.push(parseInt(part, 16));
+            }
+        }
+        return groups;
+    };
+    const headGroups = toGroups(head);
+    const tailGroups = toGroups(tail);
+    const groups = tail === undefined ? headGroups :
+        headGroups.concat(new Array(8 - headGroups.length - tailGroups.length).fill(0), tailGroups);
+    const bytes = Buffer.alloc(16);
+    groups.forEach((group, i) => bytes.writeUInt16BE(group, i * 2));
+    if (bytes.readUInt32BE(0) === 0 && bytes.readUInt32BE(4) === 0 && bytes.readUInt32BE(8) === 0xffff) {
+        return bytes.slice(12);
+    }
+    return bytes;
+}
+
+/**
+ * @param {Buffer} bytes
+ * @param {number} prefix - count of the bits to keep
+ * @return {Buffer} - a copy with the other bits cleared
+ */
+function mask(bytes, prefix) {
+    const masked = Buffer.from(bytes);
+    for (let i = 0; i < masked.length; i++) {
+        const bits = Math.min(Math.max(prefix - i * 8, 0), 8);
+        masked[i] &= (0xff00 >> bits) & 0xff;
+    }
+    return masked;
+}
+
+/**
+ * @param {string} cidr - "192.168.0.0/16", "fe80::/10", or an address alone
+ * @return {{bytes: Buffer, prefix: number, key: string}}
+ * @throws {TypeError}
+ */
+function parseCidr(cidr) {
+    const [address, prefixStr, ...rest] = String(cidr).split("/");
+    const bytes = parseAddress(address);
+    const bits = bytes ? bytes.length * 8 : 0;
+    const prefix = prefixStr === undefined ? bits : Number(prefixStr);
+    if (!bytes || rest.length > 0 || (prefixStr !== undefined && !/^\d+$/.test(prefixStr)) || !(prefix >= 0 && prefix <= bits)) {
+        throw new TypeError(`invalid CIDR: ${cidr}`);
+    }
+    const masked = mask(bytes, prefix);
+    return { bytes: masked, prefix, key: `${masked.toString("hex")}/${prefix}` };
+}
+
+/**
+ * a set of the CIDR ranges
+ */
+class AddressList {
+    /**
+     * @param {string[]} [cidrs=[]]
+     */
+    constructor(cidrs = []) {
+        this._ranges = new Map();
+        for (const cidr of cidrs) {
+            this.add(cidr);
+        }
+    }
+    get size() {
+        return this._ranges.size;
+    }
+    /**
+     * @param {string} cidr
+     */
+    add(cidr) {
+        const range = parseCidr(cidr);
+        this._ranges.set(range.key, range);
+    }
+    /**
+     * @param {string} cidr
+     * @return {boolean} - whether the range was in the list
+     */
+    delete(cidr) {
+        return this._ranges.delete(parseCidr(cidr).key);
+    }
+    /**
+     * @param {Buffer} bytes - of the address
+     * @return {boolean}
+     */
+    has(bytes) {
+        for (const range of this._ranges.values()) {
+            if (range.bytes.length === bytes.length && mask(bytes, range.prefix).equals(range.bytes)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+/**
+ * the token buckets, keyed by the sources
+ */
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @property {number} options.rate - packets per second
+     * @property {number} [options.burst=options.rate] - the size of buckets
+     */
+    constructor({ rate, burst = rate }) {
+        if (!(rate > 0) || !(burst >= 1)) {
+            throw new RangeError("rate and burst must be greater than 0");
+        }
+        this._rate = rate;
+        this._burst = burst;
+        this._buckets = new Map();
+    }
+    /**
+     * @param {string} key
+     * @param {number} [now=Date.now()]
+     * @return {boolean} - false if the bucket is empty
+     */
+    take(key, now = Date.now()) {
+        let bucket = this._buckets.get(key);
+        if (bucket) {
+            bucket.tokens = Math.min(this._burst, bucket.tokens + (now - bucket.time) * this._rate / 1000);
+            bucket.time = now;
+        } else {
+            if (this._buckets.size >= MAX_BUCKETS) {
+                this._prune(now);
+            }
+            bucket = { tokens: this._burst, time: now };
+            this._buckets.set(key, bucket);
+        }
+        if (bucket.tokens < 1) return false;
+        bucket.tokens -= 1;
+        return true;
+    }
+    /**
+     * forget the full buckets, and the oldest ones if there are still too many
+     * @private
+     * @param {number} now
+     */
+    _prune(now) {
+        for (const [key, bucket] of this._buckets) {
+            if (bucket.tokens + (now - bucket.time) * this._rate / 1000 >= this._burst) {
+                this._buckets.delete(key);
+            }
+        }
+        for (const key of this._buckets.keys()) {
+            if (this._buckets.size < MAX_BUCKETS) break;
+            this._buckets.delete(key);
+        }
+    }
+}
+
+/**
+ * decides whether the packets from an address are processed
+ */
+class Admission {
+    /**
+     * @param {Object} [options={}]
+     * @property {string[]} [options.allow] - only these ranges are accepted
+     * @property {string[]} [options.block] - these ranges are rejected
+     * @property {Object} [options.rate] - the `rate` (packets per second)
+     *           and `burst` of every address
+     * @property {Object} [options.subnetRate] - the `rate` and `burst` of
+     *           every subnet, of `prefix` (default 24) bits for IPv4 and
+     *           `prefix6` (default 64) bits for IPv6
+     * @property {number} [options.maxPeers=Infinity]
+     */
+    constructor({ allow, block, rate, subnetRate, maxPeers = Infinity } = {}) {
+        this._allowed = allow ? new AddressList(allow) : null;
+        this._blocked = new AddressList(block);
+        this._rate = rate ? new RateLimiter(rate) : null;
+        this._subnetRate = subnetRate ? new RateLimiter(subnetRate) : null;
+        this._prefix = subnetRate && subnetRate.prefix !== undefined ? subnetRate.prefix : SUBNET_PREFIX;
+        this._prefix6 = subnetRate && subnetRate.prefix6 !== undefined ? subnetRate.prefix6 : SUBNET_PREFIX6;
+        this.maxPeers = maxPeers;
+        this.rejected = {
+            blocked: 0,
+            unlisted: 0,
+            peers: 0,
+            rate: 0,
+            subnet: 0,
+        };
+    }
+    /**
+     * accept the range, and reject all the others that are not allowed
+     * @param {string} cidr
+     */
+    allow(cidr) {
+        if (!this._allowed) {
+            this._allowed = new AddressList();
+        }
+        this._allowed.add(cidr);
+    }
+    /**
+     * @param {string} cidr
+     * @return {boolean}
+     */
+    disallow(cidr) {
+        return this._allowed ? this._allowed.delete(cidr) : false;
+    }
+    /**
+     * @param {string} cidr
+     */
+    block(cidr) {
+        this._blocked.add(cidr);
+    }
+    /**
+     * @param {string} cidr
+     * @return {boolean}
+     */
+    unblock(cidr) {
+        return this._blocked.delete(cidr);
+    }
+    /**
+     * @param {string} address
+     * @param {boolean} [isNewPeer=false] - whether it has no state yet
+     * @param {number} [peers=0] - count of the peers that have state
+     * @param {number} [now=Date.now()]
+     * @return {boolean} - false if rejected, and the reason is counted
+     */
+    admit(address, isNewPeer = false, peers = 0, now = Date.now()) {
+        if (!this._allowed && this._blocked.size === 0 && !this._rate && !this._subnetRate &&
+                !(isNewPeer && peers >= this.maxPeers)) {
+            return true;
+        }
+        const bytes = parseAddress(address);
+        if (bytes === null) {
+            this.rejected.unlisted += 1;
+            return false;
+        }
+        if (this._blocked.has(bytes)) {
+            this.rejected.blocked += 1;
+            return false;
+        }
+        if (this._allowed && !this._allowed.has(bytes)) {
+            this.rejected.unlisted += 1;
+            return false;
+        }
+        if (isNewPeer && peers >= this.maxPeers) {
+            this.rejected.peers += 1;
+            return false;
+        }
+        if (this._rate && !this._rate.take(bytes.toString("hex"), now)) {
+            this.rejected.rate += 1;
+            return false;
+        }
+        if (this._subnetRate) {
+            const prefix = bytes.length === 4 ? this._prefix : this._prefix6;
+            if (!this._subnetRate.take(mask(bytes, prefix).toString("hex"), now)) {
+                this.rejected.subnet += 1;
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+exports.parseAddress = parseAddress;
+exports.parseCidr = parseCidr;
+exports.AddressList = AddressList;
+exports.RateLimiter = RateLimiter;
+exports.Admission = Admission;
@@ -0,0 +1,160 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const ReplayWindow = require("./replay.js");
+
+const KEY_SIZE = 32;
+const NONCE_SIZE = 12;
+const TAG_SIZE = 16;
+const PREFIX_SIZE = 8;
+const MAX_COUNTER = Math.pow(2, 32);
+const REPLAY_WINDOW_SIZE = 2048;
+const MAX_PREFIXES = 4096;
+const ALGORITHMS = ["aes-256-gcm", "chacha20-poly1305"];
+
+/**
+ * authenticated encryption of datagrams with a pre-shared key. a sealed
+ * datagram is the header in plaintext, the nonce, the encrypted body and
+ * the tag, the header is authenticated as the associated data.
+ *
+ * the nonce is a random prefix of 64 bits and a counter of packets of 32
+ * bits, the prefix is renewed before the counter repeats. so the nonces of
+ * the instances that share a key do not collide until about 2^32 prefixes.
+ *
+ * a datagram is opened only once, the counters of the latest prefixes are
+ * remembered in the replay windows. a datagram with one of our own prefixes
+ * is not opened, so a sealed datagram reflected back to us is not taken as
+ * sent by the peer.
+ */
+class Cipher {
+    /**
+     * @param {Object} options
+     * @property {Buffer} options.key - 32 bytes
+     * @property {Buffer} [options.receiveKey=options.key] - 32 bytes, to open
+     *           the datagrams when the directions use different keys
+     * @property {string} [options.algorithm="aes-256-gcm"] - or "chacha20-poly1305"
+     * @param {number} headerSize - size of the header in plaintext
+     */
+    constructor({ key, receiveKey = key, algorithm = "aes-256-gcm" }, headerSize) {
+        if (!ALGORITHMS.includes(algorithm)) {
+            throw new TypeError(`unsupported encryption algorithm: ${algorithm}`);
+        }
+        for (const k of [key, receiveKey]) {
+            if (!Buffer.isBuffer(k) || k.length !== KEY_SIZE) {
+                throw new TypeError(`encryption key must be a Buffer of ${KEY_SIZE} bytes`);
+            }
+        }
+        this._algorithm = algorithm;
+        this._key = Buffer.from(key);
+        this._receiveKey = Buffer.from(receiveKey);
+        this._headerSize = headerSize;
+        this._prefix = crypto.randomBytes(PREFIX_SIZE);
+        this._previousPrefix = null;
+        this._counter = 0;
+        // the replay windows of the prefixes, the least recently used first
+        this._windows = new Map();
+        this.overhead = Cipher.OVERHEAD;
+    }
+    /**
+     * @private
+     * @return {Buffer}
+     */
+    _nextNonce() {
+        const nonce = Buffer.alloc(NONCE_SIZE);
+        this._prefix.copy(nonce, 0);
+        nonce.writeUInt32BE(this._counter, PREFIX_SIZE);
+        this._counter += 1;
+        if (this._counter === MAX_COUNTER) {
+            this._previousPrefix = this._prefix;
+            this._prefix = crypto.randomBytes(PREFIX_SIZE);
+            this._counter = 0;
+        }
+        return nonce;
+    }
+    /**
+     * @private
+     * @param {Buffer} nonce
+     * @return {boolean} - whether it was sealed by us
+     */
+    _isOwn(nonce) {
+        const prefix = nonce.slice(0, PREFIX_SIZE);
+        return prefix.equals(this._prefix) ||
+            (this._previousPrefix !== null && prefix.equals(this._previousPrefix));
+    }
+    /**
+     * @private
+     * @param {Buffer} nonce
+     * @param {?ReplayWindow} window - of the prefix
+     */
+    _remember(nonce, window) {
+        const prefix = nonce.toString("hex", 0, PREFIX_SIZE);
+        if (window) {
+            this._windows.delete(prefix);
+        } else {
+            window = new ReplayWindow({ size: REPLAY_WINDOW_SIZE });
+            if (this._windows.size >= MAX_PREFIXES) {
+                this._windows.delete(this._windows.keys().next().value);
+            }
+        }
+        this._windows.set(prefix, window);
+        window.add(nonce.readUInt32BE(PREFIX_SIZE));
+    }
+    /**
+     * @param {Buffer} buffer - header and body
+     * @return {Buffer}
+     */
+    seal(buffer) {
+        const header = buffer.slice(0, this._headerSize);
+        const body = buffer.slice(this._headerSize);
+        const nonce = this._nextNonce();
+        const cipher = crypto.createCipheriv(this._algorithm, this._key, nonce, {
+            authTagLength: TAG_SIZE,
+        });
+        cipher.setAAD(header);
+        const encrypted = [cipher.update(body), cipher.final()];
+        return Buffer.concat([header, nonce, ...encrypted, cipher.getAuthTag()]);
+    }
+    /**
+     * @param {Buffer} buffer - a sealed datagram
+     * @return {?Buffer} - header and body, or null when failed to authenticate,
+     *         it was opened already or it was sealed by us
+     */
+    open(buffer) {
+        if (buffer.length < this._headerSize + this.overhead) {
+            return null;
+        }
+        let cursor = 0;
+        const header = buffer.slice(cursor, cursor += this._headerSize);
+        const nonce = buffer.slice(cursor, cursor += NONCE_SIZE);
+        const encrypted = buffer.slice(cursor, buffer.length - TAG_SIZE);
+        const tag = buffer.slice(buffer.length - TAG_SIZE);
+        if (this._isOwn(nonce)) {
+            return null;
+        }
+        const window = this._windows.get(nonce.toString("hex", 0, PREFIX_SIZE));
+        const counter = nonce.readUInt32BE(PREFIX_SIZE);
+        if (window && (window.has(counter) || window.isStale(counter))) {
+            return null;
+        }
+        let opened;
+        try {
+            const decipher = crypto.createDecipheriv(this._algorithm, this._receiveKey, nonce, {
+                authTagLength: TAG_SIZE,
+            });
+            decipher.setAAD(header);
+            decipher.setAuthTag(tag);
+            const body = [decipher.update(encrypted), decipher.final()];
+            opened = Buffer.concat([header, ...body]);
+        } catch (err) {
+            return null;
+        }
+        this._remember(nonce, window);
+        return opened;
+    }
+}
+
+Cipher.ALGORITHMS = ALGORITHMS;
+Cipher.OVERHEAD = NONCE_SIZE + TAG_SIZE;
+
+module.exports = Cipher;
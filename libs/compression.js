@@ -0,0 +1,67 @@
+"use strict";
+
+const zlib = require("zlib");
+
+const ALGORITHMS = ["deflate", "brotli"];
+
+/**
+ * compresses the messages that are large enough, the messages are sent as
+ * they are if the compressed ones are not smaller.
+ */
+class Compressor {
+    /**
+     * @param {Object} [options={}]
+     * @property {string} [options.algorithm="deflate"] - or "brotli"
+     * @property {number} [options.threshold=1024] - the min size of messages
+     *           to compress, in bytes
+     * @property {number} [options.level] - the level of deflate (default 6)
+     *           or the quality of brotli (default 4)
+     */
+    constructor({ algorithm = "deflate", threshold = 1024, level } = {}) {
+        if (!ALGORITHMS.includes(algorithm)) {
+            throw new TypeError(`unsupported compression algorithm: ${algorithm}`);
+        }
+        this.algorithm = algorithm;
+        this._threshold = threshold;
+        this._level = level;
+    }
+    /**
+     * @param {Buffer} buffer
+     * @return {?Buffer} - null if the buffer should be sent as it is
+     */
+    compress(buffer) {
+        if (buffer.length < this._threshold) {
+            return null;
+        }
+        const compressed = this.algorithm === "brotli" ?
+            zlib.brotliCompressSync(buffer, {
+                params: {
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: this._level === undefined ? 4 : this._level,
+                    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length,
+                },
+            }) :
+            zlib.deflateRawSync(buffer, {
+                level: this._level === undefined ? 6 : this._level,
+            });
+        return compressed.length < buffer.length ? compressed : null;
+    }
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {string} algorithm
+ * @param {number} [maxSize] - of the decompressed buffer, unlimited by default
+ * @return {Buffer}
+ * @throws {Error} - when the buffer is corrupted
+ * @throws {RangeError} - when the decompressed buffer is larger than `maxSize`
+ */
+function decompress(buffer, algorithm, maxSize) {
+    const options = maxSize === undefined ? {} : { maxOutputLength: maxSize };
+    return algorithm === "brotli" ?
+        zlib.brotliDecompressSync(buffer, options) :
+        zlib.inflateRawSync(buffer, options);
+}
+
+exports.ALGORITHMS = ALGORITHMS;
+exports.Compressor = Compressor;
+exports.decompress = decompress;
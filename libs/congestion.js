@@ -0,0 +1,185 @@
+"use strict";
+
+const defaultOptions = {
+    initialWindow: 32,
+    minWindow: 2,
+    maxWindow: 4096,
+};
+
+const MIN_RTT_WINDOW = 1000 * 10; /* 10s */
+const BANDWIDTH_WINDOW = 1000; /* 1s */
+const PACING_GAINS = [1.25, 0.75, 1, 1, 1, 1, 1, 1];
+const STARTUP_GAIN = 2.89;
+const STARTUP_GROWTH = 1.25;
+const STARTUP_ROUNDS = 3;
+const CWND_GAIN = 2;
+
+/**
+ * decides how many packets a peer may have in flight, all windows are
+ * counted in packets.
+ */
+class CongestionController {
+    /**
+     * @param {Object} [options={}]
+     * @property {number} [options.initialWindow=32]
+     * @property {number} [options.minWindow=2]
+     * @property {number} [options.maxWindow=4096]
+     */
+    constructor(options = {}) {
+        const { initialWindow, minWindow, maxWindow } = Object.assign({}, defaultOptions, options);
+        this.minWindow = minWindow;
+        this.maxWindow = maxWindow;
+        this.window = this._clamp(initialWindow);
+    }
+    /**
+     * @private
+     * @param {number} window
+     * @return {number}
+     */
+    _clamp(window) {
+        return Math.min(Math.max(window, this.minWindow), this.maxWindow);
+    }
+    /**
+     * some packets were received by the peer
+     * @param {number} acked
+     * @param {number} [rtt] - a round trip time sample (ms)
+     */
+    onAck(acked, rtt) {
+    }
+    /**
+     * some packets were lost
+     * @param {number} lost
+     * @param {number} rtt - the current round trip time (ms)
+     */
+    onLoss(lost, rtt) {
+    }
+    /**
+     * returns how many packets may be sent now
+     * @param {number} inFlight
+     * @return {number}
+     */
+    quota(inFlight) {
+        return Math.max(0, Math.floor(this.window) - inFlight);
+    }
+}
+
+/**
+ * AIMD with slow start, the window is halved at most once per round trip
+ */
+class NewReno extends CongestionController {
+    constructor(options) {
+        super(options);
+        this.ssthresh = this.maxWindow;
+        this._recoverUntil = 0;
+    }
+    onAck(acked) {
+        if (this.window < this.ssthresh) {
+            this.window += acked;
+        } else {
+            this.window += acked / this.window;
+        }
+        this.window = this._clamp(this.window);
+    }
+    onLoss(lost, rtt) {
+        const now = Date.now();
+        if (lost <= 0 || now < this._recoverUntil) return;
+        this._recoverUntil = now + rtt;
+        this.ssthresh = this._clamp(this.window / 2);
+        this.window = this.ssthresh;
+    }
+}
+
+/**
+ * delay-based like BBR, the window is the bandwidth-delay product of the
+ * max delivery rate and the min round trip time, loss is ignored
+ */
+class BBR extends CongestionController {
+    constructor(options) {
+        super(options);
+        this.minRtt = Infinity;
+        this.srtt = 0;
+        this.bandwidth = 0; /* packets per ms */
+        this.startup = true;
+        this._minRttStamp = 0;
+        this._samples = [];
+        this._delivered = 0;
+        this._deliveredStamp = Date.now();
+        this._fullBandwidth = 0;
+        this._fullBandwidthCount = 0;
+        this._quotaStamp = 0;
+        this._cycleIndex = 0;
+    }
+    onAck(acked, rtt) {
+        const now = Date.now();
+        if (rtt > 0 && (rtt <= this.minRtt || now - this._minRttStamp > MIN_RTT_WINDOW)) {
+            this.minRtt = rtt;
+            this._minRttStamp = now;
+        }
+        if (rtt > 0) {
+            this.srtt = this.srtt ? this.srtt * 7 / 8 + rtt / 8 : rtt;
+        }
+        this._delivered += acked;
+        const elapsed = now - this._deliveredStamp;
+        if (this.minRtt === Infinity || elapsed < this.minRtt) return;
+
+        this._samples.push([now, this._delivered / elapsed]);
+        while (now - this._samples[0][0] > BANDWIDTH_WINDOW) {
+            this._samples.shift();
+        }
+        this._delivered = 0;
+        this._deliveredStamp = now;
+        this._cycleIndex = (this._cycleIndex + 1) % PACING_GAINS.length;
+        this.bandwidth = Math.max(...this._samples.map(([, rate]) => rate));
+
+        if (this.startup) {
+            if (this.bandwidth >= this._fullBandwidth * STARTUP_GROWTH) {
+                this._fullBandwidth = this.bandwidth;
+                this._fullBandwidthCount = 0;
+            } else if (++this._fullBandwidthCount >= STARTUP_ROUNDS) {
+                this.startup = false;
+            }
+        }
+        const gain = this.startup ? STARTUP_GAIN : CWND_GAIN;
+        // the acks are delayed and aggregated by the receiver, so the smoothed
+        // round trip time is used instead of the min one
+        this.window = this._clamp(Math.ceil(gain * this.bandwidth * Math.max(this.minRtt, this.srtt)));
+    }
+    quota(inFlight) {
+        const quota = super.quota(inFlight);
+        const now = Date.now();
+        const elapsed = now - this._quotaStamp;
+        this._quotaStamp = now;
+        if (this.startup || this.bandwidth === 0) {
+            return quota;
+        }
+        // pacing by the bandwidth, probes for more bandwidth periodically
+        const gain = PACING_GAINS[this._cycleIndex];
+        return Math.min(quota, Math.max(1, Math.ceil(gain * this.bandwidth * elapsed)));
+    }
+}
+
+const algorithms = {
+    newreno: NewReno,
+    bbr: BBR,
+};
+
+/**
+ * @param {string|Function} algorithm - a name or a factory function
+ * @param {Address} rinfo
+ * @return {CongestionController}
+ */
+function create(algorithm, rinfo) {
+    if (typeof algorithm === "function") {
+        return algorithm(rinfo);
+    }
+    const Controller = algorithms[String(algorithm).toLowerCase()];
+    if (!Controller) {
+        throw new TypeError(`unknown congestion algorithm: ${algorithm}`);
+    }
+    return new Controller();
+}
+
+exports.CongestionController = CongestionController;
+exports.NewReno = NewReno;
+exports.BBR = BBR;
+exports.create = create;
@@ -0,0 +1,255 @@
+"use strict";
+
+const dns = require("dns");
+const { Duplex } = require("stream");
+const errors = require("./errors.js");
+
+const FRAME_CONNECT = 0x00;
+const FRAME_DATA = 0x01;
+const FRAME_END = 0x02;
+const FRAME_WINDOW = 0x03; /* the bytes that were read */
+const FRAME_RESET = 0x04;
+const MAX_FRAME_SIZE = 1024 * 1024; /* 1MiB */
+const WINDOW_SIZE = MAX_FRAME_SIZE * 4; /* the bytes sent but not read */
+const RESET_TIMEOUT = 1000; /* ms */
+
+const EMPTY_BUFFER = Buffer.alloc(0);
+
+function keyOf({ port, address, family }) {
+    return [port, address, family].join(",");
+}
+
+/**
+ * a duplex stream to a remote peer, every write is sent as one or more
+ * reliable messages, and the next message is not sent until the previous one
+ * was finished, so the peer reads them in order. no more than WINDOW_SIZE
+ * bytes are sent before the peer reads them.
+ */
+class Connection extends Duplex {
+    /**
+     * @param {ReUDP} reudp
+     * @param {?Address} rinfo - null when the remote address is resolving
+     * @param {Object} [options={}]
+     * @property {boolean} [options.allowHalfOpen=false]
+     */
+    constructor(reudp, rinfo, options = {}) {
+        super({
+            allowHalfOpen: Boolean(options.allowHalfOpen),
+        });
+        this._reudp = reudp;
+        this._rinfo = rinfo ? Object.assign({}, rinfo) : null;
+        this._ended = false;
+        this._reset = false;
+        // the bytes that may be sent, and the ones pushed but not told read
+        this._credit = WINDOW_SIZE;
+        this._onCredit = null;
+        this._unread = 0;
+        this.connecting = !rinfo;
+        // the public key of the peer, when the identities are exchanged
+        this.remoteIdentity = undefined;
+    }
+
+    get remoteAddress() {
+        return this._rinfo ? this._rinfo.address : undefined;
+    }
+    get remotePort() {
+        return this._rinfo ? this._rinfo.port : undefined;
+    }
+    get remoteFamily() {
+        return this._rinfo ? this._rinfo.family : undefined;
+    }
+
+    /**
+     * @private
+     * @param {number} type
+     * @param {Buffer} [data]
+     * @param {Object} [options] - of sendAsync
+     * @return {Promise}
+     */
+    _sendFrame(type, data = EMPTY_BUFFER, options) {
+        const frame = Buffer.concat([Buffer.from([type]), data], 1 + data.length);
+        return this._reudp.sendAsync(frame, this._rinfo, options);
+    }
+
+    /**
+     * @private
+     * @param {number} size
+     * @return {Promise} - resolved when the peer can take the bytes
+     */
+    _waitCredit(size) {
+        if (this._credit >= size) {
+            this._credit -= size;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this._onCredit = () => {
+                if (this._credit < size) return;
+                this._onCredit = null;
+                this._credit -= size;
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * tell the peer the bytes that were read
+     * @private
+     */
+    _sendWindow() {
+        if (this._unread === 0 || this.destroyed) return;
+        const data = Buffer.alloc(4);
+        data.writeUInt32BE(this._unread);
+        this._unread = 0;
+        this._sendFrame(FRAME_WINDOW, data).catch(err => this.destroy(err));
+    }
+
+    /**
+     * @private
+     * @param {Address} rinfo
+     */
+    _connect(rinfo) {
+        this._rinfo = Object.assign({}, rinfo);
+        this._sendFrame(FRAME_CONNECT).then(() => {
+            this.connecting = false;
+            this.emit("connect");
+        }, err => this.destroy(err));
+    }
+
+    /**
+     * @private
+     * @param {Buffer} buffer
+     */
+    _handleFrame(buffer) {
+        if (this._ended || buffer.length === 0) return;
+        switch (buffer.readUInt8(0)) {
+            case FRAME_DATA:
+                this._unread += buffer.length - 1;
+                // the rest are told when they are read
+                if (this.push(buffer.slice(1))) {
+                    this._sendWindow();
+                }
+                break;
+            case FRAME_END:
+                this._ended = true;
+                this.push(null);
+                break;
+            case FRAME_WINDOW:
+                if (buffer.length < 5) break;
+                this._credit += buffer.readUInt32BE(1);
+                if (this._onCredit) {
+                    this._onCredit();
+                }
+                break;
+            case FRAME_RESET:
+                this._reset = true;
+                this.destroy(new errors.PeerResetError(undefined, this._rinfo));
+                break;
+        }
+    }
+
+    _read() {
+        this._sendWindow();
+    }
+
+    _write(chunk, encoding, callback) {
+        this._writev([{ chunk }], callback);
+    }
+
+    _writev(chunks, callback) {
+        if (this.connecting) {
+            this.once("connect", () => this._writev(chunks, callback));
+            return;
+        }
+        const buffer = Buffer.concat(chunks.map(({ chunk }) => chunk));
+        let promise = Promise.resolve();
+        for (let i = 0; i < buffer.length; i += MAX_FRAME_SIZE) {
+            const data = buffer.slice(i, i + MAX_FRAME_SIZE);
+            promise = promise
+                .then(() => this._waitCredit(data.length))
+                .then(() => this._sendFrame(FRAME_DATA, data));
+        }
+        promise.then(() => callback(), callback);
+    }
+
+    _final(callback) {
+        if (this.connecting) {
+            this.once("connect", () => this._final(callback));
+            return;
+        }
+        this._sendFrame(FRAME_END).then(() => callback(), callback);
+    }
+
+    _destroy(err, callback) {
+        this._onCredit = null;
+        // closed by both of the peers, or the peer knows it already
+        if ((this._ended && this.writableFinished) || this._reset ||
+                this.connecting || !this._rinfo || this._reudp.closed) {
+            callback(err);
+            return;
+        }
+        this._sendFrame(FRAME_RESET, EMPTY_BUFFER, { deadline: RESET_TIMEOUT })
+            .then(() => callback(err), () => callback(err));
+    }
+}
+
+/**
+ * dispatch the messages of reudp to the connections of their peers
+ * @param {ReUDP} reudp
+ * @param {Function} onConnection
+ */
+function listen(reudp, onConnection) {
+    const connections = new Map();
+    reudp.on("message", (buffer, rinfo, id, identity) => {
+        const key = keyOf(rinfo);
+        let conn = connections.get(key);
+        if (!conn) {
+            // a late frame of a closed connection
+            if (buffer.length === 0 || buffer.readUInt8(0) > FRAME_DATA) return;
+            conn = new Connection(reudp, rinfo);
+            conn.remoteIdentity = identity;
+            connections.set(key, conn);
+            conn.once("close", () => connections.delete(key));
+            onConnection(conn);
+        }
+        conn._handleFrame(buffer);
+    });
+    reudp.once("close", () => {
+        for (const conn of connections.values()) {
+            conn.destroy();
+        }
+    });
+}
+
+/**
+ * @param {ReUDP} reudp - used by the connection only
+ * @param {number} port
+ * @param {string} host
+ * @param {Object} [options={}]
+ * @property {string} [options.type="udp4"]
+ * @property {boolean} [options.allowHalfOpen=false]
+ * @return {Connection}
+ */
+function connect(reudp, port, host, options = {}) {
+    const conn = new Connection(reudp, null, options);
+    const lookupFamily = options.type === "udp6" ? 6 : 4;
+    dns.lookup(host, { family: lookupFamily }, (err, address, family) => {
+        if (err) {
+            conn.destroy(err);
+            return;
+        }
+        conn._connect({ port, address, family: `IPv${family}` });
+    });
+    reudp.on("message", (buffer, rinfo, id, identity) => {
+        if (rinfo.port === conn.remotePort && rinfo.address === conn.remoteAddress) {
+            conn.remoteIdentity = identity;
+            conn._handleFrame(buffer);
+        }
+    });
+    reudp.once("close", () => conn.destroy());
+    conn.once("close", () => reudp.close());
+    return conn;
+}
+
+exports.Connection = Connection;
+exports.listen = listen;
+exports.connect = connect;
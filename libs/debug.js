@@ -0,0 +1,153 @@
+"use strict";
+
+const net = require("net");
+const http = require("http");
+const crypto = require("crypto");
+const { URL } = require("url");
+
+const SESSION_ACTIONS = {
+    expire: "expireSession",
+    retry: "retrySession",
+};
+// the names a local server is requested by, others may be DNS rebinding
+const LOCAL_HOSTS = new Set(["127.0.0.1", "localhost", "[::1]"]);
+// a cross-origin page can not send it without a preflight
+const CONTROL_HEADER = "x-reudp-debug";
+
+/**
+ * @param {URLSearchParams} params
+ * @return {?Address} - null if there is no valid port
+ */
+function addressOf(params) {
+    const port = Number(params.get("port"));
+    if (!Number.isInteger(port) || port <= 0 || port > 0xffff) return null;
+    const address = params.get("address") || "127.0.0.1";
+    return {
+        port,
+        address,
+        family: params.get("family") || (net.isIPv6(address) ? "IPv6" : "IPv4"),
+    };
+}
+
+/**
+ * @param {string} [host] - the Host header
+ * @return {boolean}
+ */
+function isLocalHost(host) {
+    if (!host) return false;
+    const end = host.startsWith("[") ? host.indexOf("]") + 1 : host.indexOf(":");
+    return LOCAL_HOSTS.has((end > 0 ? host.slice(0, end) : host).toLowerCase());
+}
+
+/**
+ * @param {IncomingMessage} req
+ * @param {?string} token
+ * @return {boolean} - whether the request may change the sessions
+ */
+function isAuthorized(req, token) {
+    if (token === null) {
+        return req.headers[CONTROL_HEADER] !== undefined;
+    }
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(req.headers.authorization || "");
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * @param {ServerResponse} res
+ * @param {number} statusCode
+ * @param {*} body
+ */
+function reply(res, statusCode, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(statusCode, {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(json),
+    });
+    res.end(json);
+}
+
+/**
+ * the routes:
+ *   GET  /stats
+ *   GET  /peers/stats?port=&address=&family=
+ *   GET  /sessions
+ *   POST /sessions/{sending|receiving}/{id}/{expire|retry}?port=&address=&family=
+ * the Host must be a local one. a POST must have the X-ReUDP-Debug header,
+ * or the `Authorization: Bearer <token>` header if there is a token
+ * @param {ReUDP} reudp
+ * @param {Object} [options={}]
+ * @property {string} [options.token]
+ * @return {Function} - the request listener
+ */
+function createHandler(reudp, { token } = {}) {
+    token = token === undefined ? null : String(token);
+    return (req, res) => {
+        if (!isLocalHost(req.headers.host)) {
+            reply(res, 403, { error: "forbidden host" });
+            return;
+        }
+        const url = new URL(req.url, "http://localhost");
+        const parts = url.pathname.split("/").filter(Boolean);
+        const route = parts.join("/");
+        if (route === "stats" || route === "peers/stats" || route === "sessions") {
+            if (req.method !== "GET") {
+                reply(res, 405, { error: "method not allowed" });
+                return;
+            }
+            if (route === "stats") {
+                reply(res, 200, reudp.getStats());
+            } else if (route === "sessions") {
+                reply(res, 200, reudp.getSessions());
+            } else {
+                const rinfo = addressOf(url.searchParams);
+                const peerStats = rinfo ? reudp.getPeerStats(rinfo) : null;
+                if (!rinfo) {
+                    reply(res, 400, { error: "invalid port" });
+                } else if (!peerStats) {
+                    reply(res, 404, { error: "unknown peer" });
+                } else {
+                    reply(res, 200, peerStats);
+                }
+            }
+            return;
+        }
+        const [prefix, type, idStr, action] = parts;
+        if (prefix !== "sessions" || parts.length !== 4 ||
+                (type !== "sending" && type !== "receiving") || !SESSION_ACTIONS[action]) {
+            reply(res, 404, { error: "not found" });
+            return;
+        }
+        if (req.method !== "POST") {
+            reply(res, 405, { error: "method not allowed" });
+            return;
+        }
+        if (!isAuthorized(req, token)) {
+            reply(res, 403, { error: "unauthorized" });
+            return;
+        }
+        const id = Number(idStr);
+        const rinfo = addressOf(url.searchParams);
+        if (!/^\d+$/.test(idStr) || id >= Math.pow(2, 32) || !rinfo) {
+            reply(res, 400, { error: "invalid id or port" });
+            return;
+        }
+        if (!reudp[SESSION_ACTIONS[action]](type, id, rinfo)) {
+            reply(res, 404, { error: "unknown session" });
+            return;
+        }
+        reply(res, 200, { id, rinfo, action });
+    };
+}
+
+/**
+ * @param {ReUDP} reudp
+ * @param {Object} [options={}] - of `createHandler`
+ * @return {http.Server} - not listening
+ */
+function createServer(reudp, options = {}) {
+    return http.createServer(createHandler(reudp, options));
+}
+
+exports.createHandler = createHandler;
+exports.createServer = createServer;
@@ -0,0 +1,108 @@
+"use strict";
+
+class ReUDPError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code
+     * @param {number} [id]
+     * @param {Address} [rinfo]
+     */
+    constructor(message, code, id, rinfo) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        if (id !== undefined) {
+            this.id = id;
+        }
+        if (rinfo) {
+            this.rinfo = Object.assign({}, rinfo);
+        }
+    }
+}
+
+/**
+ * the peer did not respond the packets, the transfer stalled or missed its
+ * deadline
+ */
+class TimeoutError extends ReUDPError {
+    /**
+     * @param {number} id
+     * @param {Address} rinfo
+     * @param {string} [reason] - "unresponsive", "stall", "deadline" or "expired"
+     * @param {Object} [progress] - how far the transfer got
+     */
+    constructor(id, rinfo, reason, progress) {
+        super(`sending ${id} timeout`, "ETIMEDOUT", id, rinfo);
+        if (reason) {
+            this.reason = reason;
+        }
+        if (progress) {
+            this.progress = progress;
+        }
+    }
+}
+
+/**
+ * the socket was closed before the packets finished
+ */
+class ClosedError extends ReUDPError {
+    constructor(id, rinfo) {
+        super("socket was closed!", "ECLOSED", id, rinfo);
+    }
+}
+
+/**
+ * the peer responded with an UDP_ERR packet
+ */
+class PeerError extends ReUDPError {
+    /**
+     * @param {number} errType
+     * @param {number} id
+     * @param {Address} rinfo
+     */
+    constructor(errType, id, rinfo) {
+        super(`peer responded error:${errType}`, "EPEER", id, rinfo);
+        this.errType = errType;
+    }
+}
+
+/**
+ * the sending was aborted by an AbortSignal
+ */
+class AbortError extends ReUDPError {
+    constructor(id, rinfo) {
+        super("sending was aborted", "ABORT_ERR", id, rinfo);
+    }
+}
+
+/**
+ * the peer was restarted before the packets finished
+ */
+class PeerResetError extends ReUDPError {
+    constructor(id, rinfo) {
+        super("peer was reset", "ECONNRESET", id, rinfo);
+    }
+}
+
+/**
+ * the peer speaks a protocol version that is not supported
+ */
+class VersionMismatchError extends ReUDPError {
+    /**
+     * @param {number} version - of the peer
+     * @param {number} id
+     * @param {Address} rinfo
+     */
+    constructor(version, id, rinfo) {
+        super(`peer protocol version ${version} is not supported`, "EVERSION", id, rinfo);
+        this.version = version;
+    }
+}
+
+exports.ReUDPError = ReUDPError;
+exports.TimeoutError = TimeoutError;
+exports.ClosedError = ClosedError;
+exports.PeerError = PeerError;
+exports.AbortError = AbortError;
+exports.PeerResetError = PeerResetError;
+exports.VersionMismatchError = VersionMismatchError;
@@ -0,0 +1,90 @@
+"use strict";
+
+const defaultOptions = {
+    ratio: 0.1,
+    adaptive: true,
+    min: 0.02,
+    max: 0.5,
+};
+
+/**
+ * the XOR parity of the packets of a group, the packets are padded with 0 to
+ * the longest one and the lengths are XORed too
+ * @param {Buffer[]} packets
+ * @return {{length: number, data: Buffer}}
+ */
+function parity(packets) {
+    let length = 0;
+    let size = 0;
+    for (const packet of packets) {
+        length ^= packet.length;
+        size = Math.max(size, packet.length);
+    }
+    const data = Buffer.alloc(size);
+    for (const packet of packets) {
+        for (let i = 0, len = packet.length; i < len; i++) {
+            data[i] ^= packet[i];
+        }
+    }
+    return ({ length, data });
+}
+
+/**
+ * rebuild the only missing packet of a group
+ * @param {{length: number, data: Buffer}} groupParity
+ * @param {Buffer[]} packets - the other packets of the group
+ * @return {Buffer}
+ */
+function recover(groupParity, packets) {
+    const { length, data } = parity(packets.concat([groupParity.data]));
+    let missingLength = groupParity.length ^ length ^ groupParity.data.length;
+    // the parity is as long as the longest packet
+    missingLength = Math.min(missingLength, data.length);
+    return data.slice(0, missingLength);
+}
+
+/**
+ * the redundancy of the parity packets to a peer, it follows the loss rate
+ * that was not recovered when adaptive
+ */
+class Redundancy {
+    /**
+     * @param {Object} [options={}]
+     * @property {number} [options.ratio=0.1] - parity packets per data packet
+     * @property {boolean} [options.adaptive=true]
+     * @property {number} [options.min=0.02] - the min ratio when adaptive
+     * @property {number} [options.max=0.5] - the max ratio when adaptive
+     */
+    constructor(options = {}) {
+        const { ratio, adaptive, min, max } = Object.assign({}, defaultOptions, options);
+        if (!(ratio > 0 && ratio <= 1)) {
+            throw new RangeError("fec ratio must be between 0 and 1");
+        }
+        this._adaptive = adaptive;
+        this._min = min;
+        this._max = max;
+        this.ratio = ratio;
+        this.lossRate = ratio / 2;
+    }
+    /**
+     * count of the data packets that share a parity packet
+     * @return {number}
+     */
+    get groupSize() {
+        return Math.max(2, Math.round(1 / this.ratio));
+    }
+    /**
+     * @param {number} acked - count of the packets were received
+     * @param {number} lost - count of the packets were lost
+     */
+    onAck(acked, lost) {
+        const total = acked + lost;
+        if (!this._adaptive || total === 0) return;
+        this.lossRate = this.lossRate * 7 / 8 + lost / total / 8;
+        this.ratio = Math.min(Math.max(this.lossRate * 2, this._min), this._max);
+    }
+}
+
+exports.parity = parity;
+exports.recover = recover;
+exports.Redundancy = Redundancy;
@@ -0,0 +1,106 @@
+"use strict";
+
+const crypto = require("crypto");
+const checksum = require("./checksum.js");
+
+const HMAC_SIZE = 16;
+
+/**
+ * the algorithms by name, the id is sent in the header flags so the peers
+ * can find out a different one
+ */
+const ALGORITHMS = {
+    "checksum": { id: 0, size: 2, keyed: false },
+    "crc32c": { id: 1, size: 4, keyed: false },
+    "hmac-sha256": { id: 2, size: HMAC_SIZE, keyed: true },
+};
+
+const CRC32C_TABLE = new Int32Array(256);
+for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let j = 0; j < 8; j++) {
+        crc = crc & 1 ? (crc >>> 1) ^ 0x82F63B78 : crc >>> 1;
+    }
+    CRC32C_TABLE[i] = crc;
+}
+
+/**
+ * CRC-32C (Castagnoli)
+ * @param {Buffer} buffer
+ * @return {number}
+ */
+function crc32c(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0, len = buffer.length; i < len; i++) {
+        crc = CRC32C_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * an integrity check of the datagrams that are not encrypted, the tag of the
+ * check is put in front of the datagram.
+ */
+class Integrity {
+    /**
+     * @param {Object} [options={}]
+     * @property {string} [options.algorithm="checksum"] - "checksum", "crc32c"
+     *           or "hmac-sha256" (truncated to 16 bytes)
+     * @property {Buffer} [options.key] - the shared secret of "hmac-sha256"
+     */
+    constructor({ algorithm = "checksum", key } = {}) {
+        const spec = ALGORITHMS[algorithm];
+        if (!spec) {
+            throw new TypeError(`unsupported integrity algorithm: ${algorithm}`);
+        }
+        if (spec.keyed && (!Buffer.isBuffer(key) || key.length === 0)) {
+            throw new TypeError(`${algorithm} requires a key of Buffer`);
+        }
+        this.algorithm = algorithm;
+        this.id = spec.id;
+        this.size = spec.size;
+        this._key = spec.keyed ? Buffer.from(key) : null;
+    }
+    /**
+     * @private
+     * @param {Buffer} buffer
+     * @return {Buffer}
+     */
+    _tag(buffer) {
+        if (this.algorithm === "crc32c") {
+            const tag = Buffer.alloc(4);
+            tag.writeUInt32BE(crc32c(buffer));
+            return tag;
+        }
+        return crypto.createHmac("sha256", this._key).update(buffer).digest().slice(0, HMAC_SIZE);
+    }
+    /**
+     * @param {Buffer} buffer
+     * @return {Buffer} - buffer with the tag in front
+     */
+    generate(buffer) {
+        if (this.algorithm === "checksum") {
+            return checksum.generate(buffer);
+        }
+        return Buffer.concat([this._tag(buffer), buffer]);
+    }
+    /**
+     * @param {Buffer} buffer - buffer with the tag in front
+     * @return {boolean}
+     */
+    verify(buffer) {
+        if (buffer.length < this.size) {
+            return false;
+        }
+        if (this.algorithm === "checksum") {
+            return checksum.verify(buffer);
+        }
+        const tag = this._tag(buffer.slice(this.size));
+        return crypto.timingSafeEqual(tag, buffer.slice(0, this.size));
+    }
+}
+
+Integrity.ALGORITHMS = ALGORITHMS;
+Integrity.crc32c = crc32c;
+
+module.exports = Integrity;
@@ -0,0 +1,128 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+const X25519_SPKI_PREFIX = Buffer.from("302a300506032b656e032100", "hex");
+const PUBLIC_KEY_SIZE = 32;
+const SIGNATURE_SIZE = 64;
+const SESSION_KEYS_INFO = "reudp session keys";
+
+/**
+ * @param {KeyObject} key
+ * @return {Buffer} - the raw public key
+ */
+function exportRaw(key) {
+    return key.export({ type: "spki", format: "der" }).slice(-PUBLIC_KEY_SIZE);
+}
+
+/**
+ * @param {Buffer} raw
+ * @param {Buffer} prefix
+ * @return {KeyObject}
+ */
+function importRaw(raw, prefix) {
+    return crypto.createPublicKey({
+        key: Buffer.concat([prefix, raw]),
+        type: "spki",
+        format: "der",
+    });
+}
+
+/**
+ * an ed25519 key pair that identifies the endpoint
+ */
+class Identity {
+    /**
+     * @param {Object} [options={}]
+     * @property {KeyObject|string} [options.privateKey] - generated if omitted
+     */
+    constructor(options = {}) {
+        if (options.privateKey) {
+            this._privateKey = options.privateKey instanceof crypto.KeyObject ?
+                options.privateKey :
+                crypto.createPrivateKey(options.privateKey);
+            if (this._privateKey.asymmetricKeyType !== "ed25519") {
+                throw new TypeError("identity must be an ed25519 private key");
+            }
+        } else {
+            this._privateKey = crypto.generateKeyPairSync("ed25519").privateKey;
+        }
+        this.publicKey = exportRaw(crypto.createPublicKey(this._privateKey));
+    }
+    /**
+     * @param {Buffer} data
+     * @return {Buffer}
+     */
+    sign(data) {
+        return crypto.sign(null, data, this._privateKey);
+    }
+}
+
+/**
+ * @param {Buffer} publicKey - the raw ed25519 public key
+ * @param {Buffer} data
+ * @param {Buffer} signature
+ * @return {boolean}
+ */
+function verify(publicKey, data, signature) {
+    if (publicKey.length !== PUBLIC_KEY_SIZE || signature.length !== SIGNATURE_SIZE) {
+        return false;
+    }
+    try {
+        return crypto.verify(null, data, importRaw(publicKey, ED25519_SPKI_PREFIX), signature);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * generate an ephemeral x25519 key pair for a handshake
+ * @return {{privateKey: KeyObject, publicKey: Buffer}}
+ */
+function generateEphemeral() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync("x25519");
+    return {
+        privateKey,
+        publicKey: exportRaw(publicKey),
+    };
+}
+
+/**
+ * derive the session keys of both directions by ECDH and HKDF, both peers
+ * get the same keys in reverse.
+ * @param {{privateKey: KeyObject, publicKey: Buffer}} ephemeral
+ * @param {Buffer} peerPublicKey - the raw ephemeral public key of the peer
+ * @return {?{sendKey: Buffer, receiveKey: Buffer}}
+ */
+function deriveKeys(ephemeral, peerPublicKey) {
+    if (peerPublicKey.length !== PUBLIC_KEY_SIZE) {
+        return null;
+    }
+    let secret;
+    try {
+        secret = crypto.diffieHellman({
+            privateKey: ephemeral.privateKey,
+            publicKey: importRaw(peerPublicKey, X25519_SPKI_PREFIX),
+        });
+    } catch (err) {
+        return null;
+    }
+    const first = Buffer.compare(ephemeral.publicKey, peerPublicKey) < 0;
+    const salt = first ?
+        Buffer.concat([ephemeral.publicKey, peerPublicKey]) :
+        Buffer.concat([peerPublicKey, ephemeral.publicKey]);
+    const keys = Buffer.from(crypto.hkdfSync("sha256", secret, salt, SESSION_KEYS_INFO, 64));
+    const key1 = keys.slice(0, 32);
+    const key2 = keys.slice(32);
+    return first ?
+        { sendKey: key1, receiveKey: key2 } :
+        { sendKey: key2, receiveKey: key1 };
+}
+
+exports.PUBLIC_KEY_SIZE = PUBLIC_KEY_SIZE;
+exports.SIGNATURE_SIZE = SIGNATURE_SIZE;
+exports.Identity = Identity;
+exports.verify = verify;
+exports.generateEphemeral = generateEphemeral;
+exports.deriveKeys = deriveKeys;
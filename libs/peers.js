@@ -0,0 +1,147 @@
+"use strict";
+
+const utils = require("./utils.js");
+
+/**
+ * the states of the remote peers, keyed by their addresses. the idle ones
+ * are evicted, the least recently active first
+ */
+class Peers {
+    /**
+     * @param {Object} [options={}]
+     * @property {Function} [options.create] - returns the state of a new peer
+     * @property {number} [options.ttl=Infinity] - the idle time (ms) after
+     *           that a peer is evicted by `prune()`
+     * @property {number} [options.max=Infinity] - the least recently active
+     *           peer is evicted when a new one exceeds it
+     * @property {Function} [options.canEvict] - returns whether the peer is
+     *           idle, all are by default
+     * @property {Function} [options.onEvict] - called with the evicted peer
+     */
+    constructor(options = {}) {
+        this._create = typeof options.create === "function" ? options.create : () => ({});
+        this._ttl = options.ttl === undefined ? Infinity : options.ttl;
+        this._max = options.max === undefined ? Infinity : options.max;
+        this._canEvict = typeof options.canEvict === "function" ? options.canEvict : () => true;
+        this._onEvict = typeof options.onEvict === "function" ? options.onEvict : Function();
+        Object.defineProperty(this, "_super", {
+            writable: false,
+            value: new Map(),
+            configurable: true,
+            enumerable: false,
+        });
+    }
+    [Symbol.iterator]() {
+        return this._super.values();
+    }
+    get size() {
+        return this._super.size;
+    }
+    has(rinfo) {
+        return this._super.has(utils.peerKey(rinfo));
+    }
+    /**
+     * returns the state of the peer, creates it if not exists
+     * @param {Address} rinfo
+     * @return {Object}
+     */
+    get(rinfo) {
+        const key = utils.peerKey(rinfo);
+        let peer = this._super.get(key);
+        if (!peer) {
+            if (this._super.size >= this._max) {
+                this.evictOldest();
+            }
+            peer = this._create(rinfo);
+            peer.rinfo = {
+                port: rinfo.port,
+                address: rinfo.address,
+                family: rinfo.family,
+            };
+            peer.lastActive = Date.now();
+            this._super.set(key, peer);
+        }
+        return peer;
+    }
+    /**
+     * returns the state of the peer without creating it
+     * @param {Address} rinfo
+     * @return {Object|undefined}
+     */
+    peek(rinfo) {
+        return this._super.get(utils.peerKey(rinfo));
+    }
+    /**
+     * mark the peer as the most recently active one
+     * @param {Object} peer
+     */
+    touch(peer) {
+        const key = utils.peerKey(peer.rinfo);
+        if (this._super.get(key) !== peer) return;
+        peer.lastActive = Date.now();
+        this._super.delete(key);
+        this._super.set(key, peer);
+    }
+    /**
+     * evict the idle peers that were not active for the ttl
+     * @param {number} [now=Date.now()]
+     */
+    prune(now = Date.now()) {
+        for (const [key, peer] of [...this._super]) {
+            // in the order of activity
+            if (now - peer.lastActive <= this._ttl) break;
+            if (this._canEvict(peer)) {
+                this._evict(key, peer);
+            }
+        }
+    }
+    /**
+     * evict the peer now
+     * @param {Object} peer
+     */
+    evict(peer) {
+        const key = utils.peerKey(peer.rinfo);
+        if (this._super.get(key) === peer) {
+            this._evict(key, peer);
+        }
+    }
+    /**
+     * @return {boolean} - whether any peer is idle
+     */
+    hasIdle() {
+        for (const peer of this._super.values()) {
+            if (this._canEvict(peer)) return true;
+        }
+        return false;
+    }
+    /**
+     * evict the least recently active idle peer
+     * @return {boolean} - false if none is idle
+     */
+    evictOldest() {
+        for (const [key, peer] of this._super) {
+            if (this._canEvict(peer)) {
+                this._evict(key, peer);
+                return true;
+            }
+        }
+        return false;
+    }
+    /**
+     * @private
+     * @param {string} key
+     * @param {Object} peer
+     */
+    _evict(key, peer) {
+        this._super.delete(key);
+        this._onEvict(peer);
+    }
+    delete(rinfo) {
+        return this._super.delete(utils.peerKey(rinfo));
+    }
+    clear() {
+        this._super.clear();
+    }
+}
+
+module.exports = Peers;
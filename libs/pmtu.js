@@ -0,0 +1,109 @@
+"use strict";
+
+const defaultOptions = {
+    initial: 1090,
+    min: 548,
+    max: 9000,
+    accuracy: 32,
+};
+
+/**
+ * searches the largest datagram size to a peer by binary search, like
+ * DPLPMTUD (RFC 8899). it starts from the initial size, which is used until
+ * any probe was acknowledged, so a peer that does not respond the probes
+ * keeps the initial size. all sizes are in bytes of UDP payload.
+ */
+class PmtuDiscovery {
+    /**
+     * @param {Object} [options={}]
+     * @property {number} [options.initial=1090]
+     * @property {number} [options.min=548]
+     * @property {number} [options.max=9000]
+     * @property {number} [options.accuracy=32] - stops when the search range
+     *           is smaller than it
+     */
+    constructor(options = {}) {
+        const { initial, min, max, accuracy } = Object.assign({}, defaultOptions, options);
+        this._initial = Math.min(Math.max(initial, min), max);
+        this._min = min;
+        this._max = max;
+        this._accuracy = accuracy;
+        this.reset();
+    }
+    /**
+     * the size of datagrams should be sent
+     * @return {number}
+     */
+    get size() {
+        return this._confirmed || this._initial;
+    }
+    /**
+     * whether the searching was finished
+     * @return {boolean}
+     */
+    get done() {
+        return !this._probing && this._high - this._low < this._accuracy;
+    }
+    /**
+     * starts a new searching
+     */
+    reset() {
+        this._confirmed = 0;
+        this._low = this._min;
+        this._high = this._max;
+        this._probing = this._initial;
+    }
+    /**
+     * searches a larger size again from the confirmed size
+     */
+    raise() {
+        this._low = this.size;
+        this._high = this._max;
+        this._probing = 0;
+    }
+    /**
+     * returns the size should be probed, or null if the searching was finished
+     * @return {?number}
+     */
+    next() {
+        if (this._probing) {
+            return this._probing;
+        }
+        if (this._high - this._low < this._accuracy) {
+            return null;
+        }
+        this._probing = Math.ceil((this._low + this._high) / 2);
+        return this._probing;
+    }
+    /**
+     * the probe of size was acknowledged by the peer
+     * @param {number} size
+     */
+    onAck(size) {
+        if (size > this._confirmed) {
+            this._confirmed = size;
+        }
+        this._low = Math.max(this._low, size);
+        if (this._high < this._low) {
+            this._high = this._low;
+        }
+        if (size === this._probing) {
+            this._probing = 0;
+        }
+    }
+    /**
+     * the probe of size was not acknowledged after retries
+     * @param {number} size
+     */
+    onLoss(size) {
+        this._high = Math.min(this._high, size - 1);
+        if (this._high < this._low) {
+            this._low = this._high;
+        }
+        if (size === this._probing) {
+            this._probing = 0;
+        }
+    }
+}
+
+module.exports = PmtuDiscovery;
@@ -0,0 +1,102 @@
+"use strict";
+
+const MAX_COUNTER = Math.pow(2, 32);
+const WINDOW_SIZE = 8192;
+
+/**
+ * the ids of the messages that were finished recently, a sliding bitmap
+ * behind the highest finished id. the ids are compared in the serial number
+ * arithmetic of 32 bits, an id is ahead of the highest one when it is less
+ * than 2^31 after it (wrapped around or not), and behind it otherwise
+ */
+class ReplayWindow {
+    /**
+     * @param {Object} [options={}]
+     * @property {number} [options.size=8192] - count of the ids behind the
+     *           highest one to remember, a power of 2 not less than 32
+     */
+    constructor({ size = WINDOW_SIZE } = {}) {
+        // the slots of the ids are continuous across the wrap around
+        if (!(size >= 32 && size <= MAX_COUNTER / 2 && (size & (size - 1)) === 0)) {
+            throw new RangeError("replay window size must be a power of 2 not less than 32");
+        }
+        this.size = size;
+        this._bitmap = new Uint32Array(size / 32);
+        this.reset();
+    }
+    /**
+     * forget all the ids
+     */
+    reset() {
+        this._bitmap.fill(0);
+        this.highest = -1;
+    }
+    /**
+     * @private
+     * @param {number} id
+     * @return {number} - how far the id is behind the highest one, negative
+     *         if ahead of it
+     */
+    _distance(id) {
+        const distance = (this.highest - id + MAX_COUNTER) % MAX_COUNTER;
+        return distance < MAX_COUNTER / 2 ? distance : distance - MAX_COUNTER;
+    }
+    /**
+     * @private
+     * @param {number} id
+     * @param {boolean} value
+     */
+    _setBit(id, value) {
+        const index = id % this.size;
+        const mask = 1 << (index % 32);
+        if (value) {
+            this._bitmap[index >> 5] |= mask;
+        } else {
+            this._bitmap[index >> 5] &= ~mask;
+        }
+    }
+    /**
+     * @param {number} id
+     * @return {boolean} - whether the id was finished and is in the window
+     */
+    has(id) {
+        if (this.highest < 0) return false;
+        const distance = this._distance(id);
+        if (distance < 0 || distance >= this.size) return false;
+        const index = id % this.size;
+        return (this._bitmap[index >> 5] & (1 << (index % 32))) !== 0;
+    }
+    /**
+     * @param {number} id
+     * @return {boolean} - whether the id is too far behind to tell
+     */
+    isStale(id) {
+        return this.highest >= 0 && this._distance(id) >= this.size;
+    }
+    /**
+     * remember a finished id, the window slides when it is ahead
+     * @param {number} id
+     */
+    add(id) {
+        if (this.highest < 0) {
+            this.highest = id;
+        } else {
+            const distance = this._distance(id);
+            if (distance >= this.size) return;
+            if (-distance >= this.size) {
+                // none of the window is left
+                this._bitmap.fill(0);
+                this.highest = id;
+            } else if (distance < 0) {
+                // the ids skipped over are not finished yet
+                for (let i = 1; i < -distance; i++) {
+                    this._setBit((this.highest + i) % MAX_COUNTER, false);
+                }
+                this.highest = id;
+            }
+        }
+        this._setBit(id, true);
+    }
+}
+
+module.exports = ReplayWindow;
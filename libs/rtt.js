@@ -0,0 +1,59 @@
+"use strict";
+
+const defaultOptions = {
+    initial: 215,
+    granularity: 15,
+    min: 50,
+    max: 1000 * 60,
+};
+
+/**
+ * estimates the round trip time of a peer by the way of Jacobson/Karels
+ * (RFC 6298), all times are in ms.
+ */
+class RttEstimator {
+    /**
+     * @param {Object} [options={}]
+     * @property {number} [options.initial=215] - the RTO before any sample
+     * @property {number} [options.granularity=15] - the clock granularity
+     * @property {number} [options.min=50] - the min RTO
+     * @property {number} [options.max=60000] - the max RTO
+     */
+    constructor(options = {}) {
+        const { initial, granularity, min, max } = Object.assign({}, defaultOptions, options);
+        this._granularity = granularity;
+        this._min = min;
+        this._max = max;
+        this.srtt = 0;
+        this.rttvar = 0;
+        this.latest = 0;
+        this.samples = 0;
+        this.rto = this._clamp(initial);
+    }
+    /**
+     * @private
+     * @param {number} rto
+     * @return {number}
+     */
+    _clamp(rto) {
+        return Math.min(Math.max(rto, this._min), this._max);
+    }
+    /**
+     * @param {number} rtt - a round trip time sample
+     */
+    update(rtt) {
+        if (!(rtt >= 0) || !isFinite(rtt)) return;
+        if (this.samples === 0) {
+            this.srtt = rtt;
+            this.rttvar = rtt / 2;
+        } else {
+            this.rttvar = this.rttvar * 3 / 4 + Math.abs(this.srtt - rtt) / 4;
+            this.srtt = this.srtt * 7 / 8 + rtt / 8;
+        }
+        this.latest = rtt;
+        this.samples += 1;
+        this.rto = this._clamp(this.srtt + Math.max(this._granularity, 4 * this.rttvar));
+    }
+}
+
+module.exports = RttEstimator;
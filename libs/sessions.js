@@ -1,5 +1,7 @@
 "use strict";
 
+const utils = require("./utils.js");
+
 const autoClearDefaultOptions = {
     ttl: 1000 * 60 * 60 * 24 /* 24h */,
     interval: 1000 /* 1s */,
@@ -27,33 +29,16 @@ class Session {
     [Symbol.iterator](...args) {
         return Reflect.apply(this._super[Symbol.iterator], this._super, args);
     }
-    _convertToId(id, { port, address, family }) {
-        if (family) {
-            let str = String(family).toLowerCase();
-            if (str.toLowerCase() === "ipv6" || str === "6") {
-                family = 6;
-            } else {
-                family = 4;
-            }
-        } else {
-            family = 4;
-        }
-        if (!address) {
-            if (family === 4) {
-                address = "127.0.0.1";
-            } else if (family === 6) {
-                address = "::1";
-            }
-        }
-        return [port, address, family, id].join(",");
+    _convertToId(id, rinfo) {
+        return [utils.peerKey(rinfo), id].join(",");
     }
     autoClear({ ttl, interval } = autoClearDefaultOptions) {
         this.stopClear();
         this._intervalId = setInterval(() => {
             const now = Date.now();
-            for (const [key, value] of this) {
+            for (const [key, value] of [...this]) {
                 if (now - value.__lastVisit__ > ttl) {
-                    this._super.delete(key);
+                    this._tryDelete(key);
                 }
             }
         }, interval);
@@ -64,6 +49,31 @@ class Session {
             delete this._intervalId;
         }
     }
+    /**
+     * delete all of the sessions of the peer
+     * @param {Address} rinfo
+     */
+    deletePeer(rinfo) {
+        const prefix = `${utils.peerKey(rinfo)},`;
+        for (const key of [...this._super.keys()]) {
+            if (key.startsWith(prefix)) {
+                this._tryDelete(key);
+            }
+        }
+    }
+    /**
+     * refresh the last visit time of all of the sessions of the peer
+     * @param {Address} rinfo
+     */
+    touchPeer(rinfo) {
+        const prefix = `${utils.peerKey(rinfo)},`;
+        const now = Date.now();
+        for (const [key, value] of this._super) {
+            if (key.startsWith(prefix)) {
+                value.__lastVisit__ = now;
+            }
+        }
+    }
     _tryDelete(key) {
         if (this._onBeforeDestroy && this._super.has(key)) {
             this._onBeforeDestroy(key, this._super.get(key));
@@ -0,0 +1,34 @@
+"use strict";
+
+/**
+ * the names of the counters, in total and of every peer
+ */
+const COUNTERS = [
+    "packetsSent",
+    "bytesSent",
+    "packetsReceived",
+    "bytesReceived",
+    "retransmissions",
+    "reqsSent",
+    "reqsReceived",
+    "duplicates",
+    "integrityFailures",
+    "authFailures",
+    "messagesSent",
+    "messagesReceived",
+    "timeouts",
+];
+
+/**
+ * @return {Object} - all of the counters are 0
+ */
+function createCounters() {
+    const counters = {};
+    for (const name of COUNTERS) {
+        counters[name] = 0;
+    }
+    return counters;
+}
+
+exports.COUNTERS = COUNTERS;
+exports.createCounters = createCounters;
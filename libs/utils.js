@@ -92,6 +92,33 @@ utils.unzipSequences = function unzipSequences(ary) {
 };
 
 
+/**
+ * returns an unique key of the address
+ * @param {Address} rinfo
+ * @return {string}
+ */
+utils.peerKey = function peerKey({ port, address, family }) {
+    if (family) {
+        let str = String(family).toLowerCase();
+        if (str === "ipv6" || str === "6") {
+            family = 6;
+        } else {
+            family = 4;
+        }
+    } else {
+        family = 4;
+    }
+    if (!address) {
+        if (family === 4) {
+            address = "127.0.0.1";
+        } else if (family === 6) {
+            address = "::1";
+        }
+    }
+    return [port, address, family].join(",");
+};
+
+
 /**
  * use the first word from the buffer to xor the buffer
  * @param {Buffer} buffer